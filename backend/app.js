@@ -0,0 +1,1057 @@
+// The Express app: middleware and every route. index.js connects to MongoDB
+// and starts it; tests mount it on their own database.
+
+import express from 'express';
+import mongoose from 'mongoose';
+import cors from 'cors';
+import cookieParser from 'cookie-parser';
+import multer from 'multer';
+
+import User from './models/User.js';
+import Session from './models/Session.js';
+import Message from './models/Message.js';
+import Persona from './models/Persona.js';
+import Attachment from './models/Attachment.js';
+import AvatarJob from './models/AvatarJob.js';
+import { buildChatMessages } from './lib/history.js';
+import {
+  hashPassword,
+  verifyPassword,
+  signAccessToken,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  setRefreshCookie,
+  clearRefreshCookie,
+  requireAuth,
+  requireAdmin,
+  publicUser,
+  REFRESH_COOKIE
+} from './lib/auth.js';
+import { findOwnedSession, sessionGuard } from './lib/ownership.js';
+import { resolvePersona, checkPersonaChoice, personaGuard } from './lib/personas.js';
+import { activePath, branchPage, currentLeafId, selectBranch } from './lib/branches.js';
+import { searchUserContent } from './lib/search.js';
+import { generateTitle } from './lib/titles.js';
+import { parseLimit, encodeCursor, decodeCursor, afterCursor } from './lib/pagination.js';
+import { quotaGuard, usageReport, meter } from './lib/quotas.js';
+import {
+  ATTACHMENT_CONFIG,
+  extractText,
+  chunkText,
+  checkAttachments,
+  attachmentContext
+} from './lib/attachments.js';
+import { knowledgeContext } from './lib/knowledge.js';
+import {
+  TTS_VOICES,
+  DEFAULT_VOICE,
+  isVoice,
+  synthesize,
+  messageAudio,
+  sendAudio,
+  deleteSessionAudio
+} from './lib/tts.js';
+import {
+  startAvatarJob,
+  refreshAvatarJob,
+  reusableAvatarJob,
+  checkAvatarChoice
+} from './lib/avatar.js';
+import { EXPORT_FORMATS, exportSession, checkImport, importSession } from './lib/transfer.js';
+import { checkFeedback, generatedBy, feedbackReport } from './lib/feedback.js';
+import { getProvider, listProviders, DEFAULT_PROVIDER, ProviderError } from './providers/index.js';
+import { getTranscriber } from './providers/transcription/index.js';
+import { subscribe, publish, originOf } from './lib/events.js';
+import { errorCodes, sendUnhandledError, isDuplicateKey } from './lib/errors.js';
+
+const {
+  JWT_SECRET,
+  CLIENT_ORIGIN = 'http://localhost:5173',
+} = process.env;
+
+if (!JWT_SECRET) {
+  throw new Error('JWT_SECRET is not set. Add it to your .env file.');
+}
+
+const app = express();
+// Credentials are needed for the refresh-token cookie; Retry-After for the
+// frontend's backoff on 429s (lib/quotas.js)
+app.use(cors({ origin: CLIENT_ORIGIN, credentials: true, exposedHeaders: ['Retry-After'] }));
+// Every error body gets a stable `code` (lib/errors.js)
+app.use(errorCodes);
+// Session imports can be much larger than ordinary requests, so that route
+// parses its own body, after authentication (see below)
+const IMPORT_PATH = '/api/sessions/import';
+const parseJson = express.json();
+app.use((req, res, next) => (req.path === IMPORT_PATH ? next() : parseJson(req, res, next)));
+app.use(cookieParser());
+
+// ----- Auth Routes -----
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Logs `user` in on this device: sets the refresh cookie and returns an access token
+const startSession = async (res, user, status = 200) => {
+  setRefreshCookie(res, await issueRefreshToken(user));
+  res.status(status).json({ user: publicUser(user), accessToken: signAccessToken(user) });
+};
+
+// Create an account
+app.post('/api/auth/signup', async (req, res) => {
+  const { email, password } = req.body;
+  if (typeof email !== 'string' || !EMAIL_RE.test(email)) {
+    return res.status(400).json({ error: 'A valid email is required.' });
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.` });
+  }
+
+  const taken = () =>
+    res.status(409).json({ error: 'An account with this email already exists.', code: 'email_taken' });
+  if (await User.exists({ email: email.toLowerCase() })) return taken();
+
+  let user;
+  try {
+    user = await User.create({ email, passwordHash: await hashPassword(password) });
+  } catch (error) {
+    // A concurrent signup with the same email got there first
+    if (isDuplicateKey(error)) return taken();
+    throw error;
+  }
+  await startSession(res, user, 201);
+});
+
+// Log in with email and password
+app.post('/api/auth/login', async (req, res) => {
+  const { email, password } = req.body;
+  if (typeof email !== 'string' || typeof password !== 'string') {
+    return res.status(400).json({ error: 'Email and password are required.' });
+  }
+
+  const user = await User.findOne({ email: email.toLowerCase() });
+  if (!user || !(await verifyPassword(password, user.passwordHash))) {
+    return res.status(401).json({ error: 'Incorrect email or password.', code: 'invalid_credentials' });
+  }
+  await startSession(res, user);
+});
+
+// Exchange the refresh cookie for a new access token (the cookie is rotated)
+app.post('/api/auth/refresh', async (req, res) => {
+  const rotated = await rotateRefreshToken(req.cookies[REFRESH_COOKIE]);
+  if (!rotated?.user) {
+    // A stale token means another refresh already set a newer cookie; keep that
+    if (!rotated?.stale) clearRefreshCookie(res);
+    return res.status(401).json({ error: 'Session expired. Please log in again.', code: 'login_expired' });
+  }
+  setRefreshCookie(res, rotated.token);
+  res.json({ user: publicUser(rotated.user), accessToken: signAccessToken(rotated.user) });
+});
+
+// Log out on this device
+app.post('/api/auth/logout', async (req, res) => {
+  await revokeRefreshToken(req.cookies[REFRESH_COOKIE]);
+  clearRefreshCookie(res);
+  res.sendStatus(204);
+});
+
+// ----- Auth Middleware -----
+// Everything below requires a valid access token
+app.use(requireAuth);
+
+// Every `:sid` route only sees sessions owned by the current user (req.chatSession)
+app.param('sid', sessionGuard);
+// ...and every `:pid` route only the user's own personas (req.persona)
+app.param('pid', personaGuard);
+
+// `:mid` must be a message of the `:sid` session (req.message)
+app.param('mid', async (req, res, next, mid) => {
+  if (!mongoose.isValidObjectId(mid)) return res.status(400).json({ error: 'Invalid message id.' });
+  const message = await Message.findOne({ _id: mid, sessionId: req.chatSession._id });
+  if (!message) return res.status(404).json({ error: 'Message not found.' });
+  req.message = message;
+  next();
+});
+
+// ----- Live Updates -----
+
+// Stream of this user's session and message changes made elsewhere (other
+// devices and tabs) as Server-Sent Events; see lib/events.js for the events.
+app.get('/api/events', (req, res) => {
+  subscribe(req.user, res, originOf(req));
+});
+
+// ----- Session & Message Routes -----
+
+// Checks an optional { provider, model } choice; returns an error message or null.
+// A model without a provider is checked against `currentProvider` (the session's).
+const checkModelChoice = ({ provider, model }, currentProvider) => {
+  if (provider !== undefined && !getProvider(provider)) {
+    return `Unknown provider '${provider}'.`;
+  }
+  if (model !== undefined) {
+    if (typeof model !== 'string' || !model.trim()) return 'Model must be a non-empty string.';
+    const target = getProvider(provider ?? currentProvider) || getProvider();
+    if (!target.customModels && !target.models.includes(model)) {
+      return `Unknown model '${model}' for ${target.label}.`;
+    }
+  }
+  return null;
+};
+
+// Sends 400 for Mongoose validation errors and 500 for anything else
+const sendSaveError = (res, error, what) => {
+  console.error(`Error saving ${what} to DB:`, error);
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ error: error.message });
+  }
+  res.status(500).json({ error: `Failed to save ${what} due to server error.` });
+};
+
+const isBlank = text => typeof text !== 'string' || text.trim().length === 0;
+
+// Create a new chat session
+app.post('/api/sessions', async (req, res) => {
+  const { title, provider, model, personaId } = req.body;
+  const invalid = checkModelChoice(req.body) || await checkPersonaChoice(personaId, req.user);
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  const session = await Session.create({
+    userId: req.user.userId,
+    title: title || 'New Chat',
+    provider,
+    model,
+    personaId
+  });
+  publish(req.user.userId, 'session.created', { session }, originOf(req));
+  res.json(session);
+});
+
+// List this user's sessions, most recently active first, one page at a time:
+// GET /api/sessions?limit=20&cursor=<nextCursor of the previous page>
+app.get('/api/sessions', async (req, res) => {
+  const limit = parseLimit(req.query.limit, 20, 100);
+  const filter = { userId: req.user.userId };
+  if (req.query.cursor) {
+    const cursor = decodeCursor(req.query.cursor);
+    if (!cursor) return res.status(400).json({ error: 'Invalid cursor.' });
+    Object.assign(filter, afterCursor(cursor));
+  }
+
+  // One extra document tells whether there is a next page
+  const sessions = await Session
+    .find(filter)
+    .sort({ updatedAt: -1, _id: -1 })
+    .limit(limit + 1);
+  const hasMore = sessions.length > limit;
+  if (hasMore) sessions.pop();
+  res.json({
+    sessions,
+    nextCursor: hasMore ? encodeCursor(sessions[sessions.length - 1]) : null
+  });
+});
+
+// Get a single session, with the persona it talks as
+app.get('/api/sessions/:sid', async (req, res) => {
+  res.json({ ...req.chatSession.toJSON(), persona: await resolvePersona(req.chatSession) });
+});
+
+// Get the messages of the session's active branch, oldest first, one page at
+// a time: GET /api/sessions/:sid/messages?limit=50&before=<oldest message id>
+// Each message carries `siblingIds`: the alternative versions at its position.
+// A `before` that is no longer on the active branch (another version was
+// selected meanwhile) answers 409: reload from the newest page.
+// With `through=<message id>`, pages the branch through that message instead,
+// without making it active (e.g. to show a search hit); the first page
+// includes the message.
+app.get('/api/sessions/:sid/messages', async (req, res) => {
+  const { before, through } = req.query;
+  for (const [name, id] of Object.entries({ before, through })) {
+    if (id !== undefined && !mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ error: `Invalid ${name} id.` });
+    }
+  }
+  if (through && !(await Message.exists({ _id: through, sessionId: req.chatSession._id }))) {
+    return res.status(404).json({ error: 'Message not found.' });
+  }
+  const page = await branchPage(req.chatSession, {
+    before,
+    through,
+    limit: parseLimit(req.query.limit, 50, 200)
+  });
+  if (!page) {
+    return res.status(409).json({ error: 'That message is no longer on this branch. Reload the chat.' });
+  }
+  res.json(page);
+});
+
+// Post a user message without asking for a reply.
+// Bot messages are only ever written by the server (see the chat turn route below).
+app.post('/api/sessions/:sid/messages', async (req, res) => {
+  const { role = 'user', text } = req.body;
+  if (isBlank(text)) {
+    return res.status(400).json({ error: 'Message text is required.' });
+  }
+  if (role !== 'user') {
+    return res.status(403).json({ error: 'Only user messages can be posted; replies are generated by the server.' });
+  }
+  try {
+    const msg = await Message.create({
+      sessionId: req.chatSession._id,
+      role: 'user',
+      text,
+      parentId: await currentLeafId(req.chatSession)
+    });
+    await Session.updateOne({ _id: req.chatSession._id }, { currentLeafId: msg._id });
+    publish(req.user.userId, 'message.created', { sessionId: msg.sessionId, messages: [msg] }, originOf(req));
+    res.json(msg);
+  } catch (error) {
+    sendSaveError(res, error, 'message');
+  }
+});
+
+// GET /api/chats (This route seems misplaced or unused, keeping for now)
+app.get("/chats", async (req, res) => {
+  const { user_id, session_id } = req.query;
+
+  try {
+    // Assuming Chat model exists, otherwise this will fail
+    // const chat = await Chat.findOne({ user_id, session_id }); // Chat model not provided
+    // if (!chat) return res.status(404).json({ error: "Chat not found" });
+    // res.json(chat.messages);
+    res.status(501).json({ error: "This route is not implemented or Chat model is missing." });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Rename a session’s title or switch its provider/model/persona
+app.patch('/api/sessions/:sid', async (req, res) => {
+  const { title, provider, model, personaId } = req.body;
+  const invalid = checkModelChoice(req.body, req.chatSession.provider)
+    || await checkPersonaChoice(personaId, req.user);
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  // Switching provider without naming a model falls back to that provider's default
+  const update = { title, provider, model, personaId };
+  if (provider !== undefined && model === undefined) update.model = null;
+  // A renamed session keeps its name; no generated title replaces it
+  if (title !== undefined) update.titleSource = 'user';
+  const sess = await Session.findOneAndUpdate(
+    { _id: req.chatSession._id },
+    update,
+    { new: true }
+  );
+  publish(req.user.userId, 'session.updated', { session: sess }, originOf(req));
+  res.json(sess);
+});
+
+// Delete a session and all its messages, attachments and spoken audio
+// (ownership has already been checked by the :sid guard)
+app.delete('/api/sessions/:sid', async (req, res) => {
+  const sid = req.chatSession._id;
+  // Avatar videos only know their message
+  const messageIds = await Message.distinct('_id', { sessionId: sid });
+  // remove session
+  await Session.deleteOne({ _id: sid });
+  // remove messages
+  await Message.deleteMany({ sessionId: sid });
+  await Attachment.deleteMany({ sessionId: sid });
+  await AvatarJob.deleteMany({ messageId: { $in: messageIds } });
+  await deleteSessionAudio(sid);
+  publish(req.user.userId, 'session.deleted', { sessionId: sid }, originOf(req));
+  res.sendStatus(204);
+});
+
+// ----- Export & Import -----
+
+// Download a session: GET /api/sessions/:sid/export?format=md|json|html
+app.get('/api/sessions/:sid/export', async (req, res) => {
+  const format = req.query.format || 'md';
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `Format must be one of: ${EXPORT_FORMATS.join(', ')}.` });
+  }
+  const { body, contentType, filename } = await exportSession(req.chatSession, format);
+  res.attachment(filename);
+  res.type(contentType).send(body);
+});
+
+// Recreate a session from a JSON export
+app.post(IMPORT_PATH, express.json({ limit: '10mb' }), async (req, res) => {
+  // Older exports have `model: null` for sessions switched to another provider
+  const { provider, model } = req.body?.session ?? {};
+  const invalid = checkImport(req.body)
+    || checkModelChoice({ provider: provider ?? undefined, model: model ?? undefined });
+  if (invalid) return res.status(400).json({ error: invalid });
+  try {
+    const session = await importSession(req.user, req.body);
+    publish(req.user.userId, 'session.created', { session }, originOf(req));
+    res.status(201).json(session);
+  } catch (error) {
+    sendSaveError(res, error, 'imported session');
+  }
+});
+
+// ----- Attachments -----
+
+// Uploads are kept in memory just long enough to extract their text
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: ATTACHMENT_CONFIG.maxBytes }
+});
+
+// Reads the multipart `file` field, answering 413/400 for files multer rejects
+const receiveFile = (req, res, next) => {
+  upload.single('file')(req, res, err => {
+    if (!(err instanceof multer.MulterError)) return next(err);
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      const mb = ATTACHMENT_CONFIG.maxBytes / 1024 / 1024;
+      return res.status(413).json({ error: `Attachments can be at most ${mb} MB.` });
+    }
+    res.status(400).json({ error: err.message });
+  });
+};
+
+// Attach a text, source, Markdown or PDF file to a session (multipart field
+// `file`). Send the returned id in `attachmentIds` with a chat message to ask
+// about it; its relevant parts then go into the prompts of that branch.
+app.post('/api/sessions/:sid/attachments', receiveFile, async (req, res) => {
+  if (!req.file) return res.status(400).json({ error: 'A file is required.' });
+
+  let text;
+  try {
+    text = await extractText(req.file);
+  } catch (err) {
+    console.error('[Attachment Error]:', err);
+    return res.status(422).json({ error: 'The file could not be read.' });
+  }
+  if (text === null) {
+    return res.status(415).json({ error: 'Only text, source code, Markdown and PDF files can be attached.' });
+  }
+  const chunks = chunkText(text);
+  if (!chunks.length) return res.status(422).json({ error: 'The file contains no text.' });
+
+  try {
+    const { _id, name, mimeType, size } = await Attachment.create({
+      sessionId: req.chatSession._id,
+      userId: req.user.userId,
+      name: req.file.originalname,
+      mimeType: req.file.mimetype,
+      size: req.file.size,
+      chunks
+    });
+    res.status(201).json({ _id, name, mimeType, size });
+  } catch (error) {
+    sendSaveError(res, error, 'attachment');
+  }
+});
+
+// ----- Search -----
+
+// Search this user's session titles and messages: GET /api/search?q=...&limit=20
+app.get('/api/search', async (req, res) => {
+  const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  if (!q) return res.status(400).json({ error: 'Search query is required.' });
+  const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 50);
+  res.json(await searchUserContent(req.user, q, limit));
+});
+
+// ----- Persona Routes -----
+
+// Fields a client may set on a persona
+const personaFields = ({ name, systemPrompt, temperature, maxTokens, avatar }) =>
+  ({ name, systemPrompt, temperature, maxTokens, avatar });
+
+// List this user's personas
+app.get('/api/personas', async (req, res) => {
+  const personas = await Persona.find({ userId: req.user.userId }).sort('name');
+  res.json(personas);
+});
+
+// Create a persona
+app.post('/api/personas', async (req, res) => {
+  try {
+    const persona = await Persona.create({ ...personaFields(req.body), userId: req.user.userId });
+    res.status(201).json(persona);
+  } catch (error) {
+    sendSaveError(res, error, 'persona');
+  }
+});
+
+// Update a persona
+app.patch('/api/personas/:pid', async (req, res) => {
+  try {
+    const fields = Object.fromEntries(
+      Object.entries(personaFields(req.body)).filter(([, v]) => v !== undefined)
+    );
+    req.persona.set(fields);
+    res.json(await req.persona.save());
+  } catch (error) {
+    sendSaveError(res, error, 'persona');
+  }
+});
+
+// Delete a persona; sessions using it fall back to the default persona
+app.delete('/api/personas/:pid', async (req, res) => {
+  await Persona.deleteOne({ _id: req.persona._id });
+  await Session.updateMany({ personaId: req.persona._id }, { $unset: { personaId: 1 } });
+  res.sendStatus(204);
+});
+
+
+// ----- Model Proxy -----
+
+// Available providers and models, for the model picker
+app.get('/api/providers', (req, res) => {
+  res.json(listProviders());
+});
+
+// Provider (and its id) and model a session talks to (stored on the session, else the defaults)
+const resolveModel = session => {
+  const provider = getProvider(session.provider);
+  // A provider that is no longer registered falls back to the default one and its model
+  if (!provider) {
+    return { provider: getProvider(), providerId: DEFAULT_PROVIDER, model: getProvider().defaultModel };
+  }
+  return { provider, providerId: session.provider || DEFAULT_PROVIDER, model: session.model || provider.defaultModel };
+};
+
+// Folds older turns into a short summary for the 'summarize' history strategy
+const summarizer = ({ provider, model }) => async (previousSummary, transcript) => {
+  const { text } = await provider.complete({
+    messages: [
+      {
+        role: "system",
+        content: "Summarise the conversation below in a few sentences. Keep names, code identifiers and decisions; drop small talk."
+      },
+      {
+        role: "user",
+        content: (previousSummary ? `Summary so far:\n${previousSummary}\n\n` : '') + `New messages:\n${transcript}`
+      }
+    ],
+    model,
+    temperature: 0.3,
+    maxTokens: 300
+  });
+  return text?.trim();
+};
+
+/**
+ * Validates a chat request and builds the prompt messages from the session
+ * history: the active branch, or the path ending at `upTo` when given (null for
+ * none), plus excerpts of the files attached on that path and `attachments`
+ * and the knowledge base passages matching the prompt (`sources`).
+ * Sends a 4xx and returns null when the request is invalid.
+ * Resolves to { session, persona, provider, providerId, model, messages, sources, wantsTitle, origin }.
+ */
+const prepareChat = async (req, res, { prompt, sessionId, upTo, attachments = [] }) => {
+  if (!prompt) {
+    res.status(400).json({ error: 'Prompt is required.' });
+    return null;
+  }
+
+  // `:sid` routes were checked by the guard; /api/groq names the session in its body
+  let session = req.chatSession;
+  if (!session) {
+    const owned = await findOwnedSession(sessionId, req.user);
+    if (!owned.session) {
+      res.status(owned.status).json({ error: owned.error });
+      return null;
+    }
+    session = owned.session;
+  }
+
+  // Every completion of this chat (reply, summary, title) counts towards the user's quota
+  const { provider, providerId, model } = resolveModel(session);
+  const target = { provider: meter(provider, req.user), model };
+  const persona = await resolvePersona(session);
+  let history = await activePath(session, upTo);
+  // Clients of /api/groq save the prompt first (POST .../messages) and then ask
+  // for the reply, so there it usually ends the branch already
+  const last = history.at(-1);
+  if (!req.chatSession && last?.role === 'user' && last.text === prompt) history = history.slice(0, -1);
+  const files = [...history.flatMap(m => m.attachments || []), ...attachments];
+  const knowledge = await knowledgeContext(prompt);
+  const context = [await attachmentContext(files, prompt), knowledge.context].filter(Boolean);
+  // Persona system prompt + attached files and cited docs + trimmed session history + the new prompt
+  const messages = await buildChatMessages({
+    session,
+    history,
+    systemPrompt: persona.systemPrompt,
+    prompt,
+    summarize: summarizer(target),
+    context: context.join('\n\n') || null
+  });
+  // The first exchange of an untitled session gets a generated title
+  const wantsTitle = !history.length && session.titleSource === 'default';
+  return {
+    session, persona, ...target, providerId, messages, sources: knowledge.sources, wantsTitle, origin: originOf(req)
+  };
+};
+
+// Options for provider.complete()/stream() for a prepared chat
+const completionOptions = (chat, signal) => ({
+  messages: chat.messages,
+  model: chat.model,
+  temperature: chat.persona.temperature,
+  maxTokens: chat.persona.maxTokens,
+  signal
+});
+
+// Sends the JSON error response for a failed completion
+const sendModelError = (res, err) => {
+  if (err instanceof ProviderError) {
+    return res.status(err.status).json({ error: err.message, code: err.code });
+  }
+  res.status(500).json({ error: 'Failed to fetch model response', code: 'provider_error' });
+};
+
+// This user's model usage in the current minute and day, against their limits
+app.get('/api/usage', async (req, res) => {
+  res.json(await usageReport(req.user));
+});
+
+app.post('/api/groq', quotaGuard, async (req, res) => {
+  try {
+    const chat = await prepareChat(req, res, req.body);
+    if (!chat) return;
+
+    const { text } = await chat.provider.complete(completionOptions(chat));
+    if (!text) {
+      console.warn(`${chat.provider.label} returned no text content`);
+      return res.status(500).json({ error: "Model did not return a valid text response.", code: 'empty_reply' });
+    }
+
+    res.json({ text }); // Send the text back as a single JSON object
+
+  } catch (err) {
+    console.error('[Model Proxy Error]:', err);
+    sendModelError(res, err);
+  }
+});
+
+// ----- Chat Turns -----
+
+// Writes one Server-Sent Event
+const sendEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// The turn saved for a chat request's Idempotency-Key: { user, bot }, or null
+const findKeyedTurn = async (session, clientKey) => {
+  const user = await Message.findOne({ sessionId: session._id, role: 'user', clientKey });
+  if (!user) return null;
+  const bot = await Message.findOne({ parentId: user._id, role: 'bot' }).sort({ timestamp: 1 });
+  return { user, bot };
+};
+
+/**
+ * Saves the messages of a turn of a prepared chat and makes the reply the end
+ * of the active branch, with the knowledge base sources it was given and the
+ * provider, model and persona that wrote it (generatedBy, for feedback).
+ * A turn is either a new user message `text` following `parentId`, with the
+ * files in `attachments` and the request's `clientKey` (Idempotency-Key), or
+ * an existing `userMessage` that gets another reply (regenerate).
+ * Resolves to { user, bot }; when a request with the same `clientKey` saved
+ * its turn first, to that turn instead.
+ */
+const saveTurn = async (chat, { text, parentId = null, attachments, clientKey, userMessage }, reply, receivedAt) => {
+  const { session, sources, origin } = chat;
+  const user = userMessage || new Message({
+    sessionId: session._id,
+    role: 'user',
+    text,
+    parentId,
+    attachments: attachments?.length ? attachments : undefined,
+    clientKey,
+    timestamp: receivedAt
+  });
+  const bot = new Message({
+    sessionId: session._id,
+    role: 'bot',
+    text: reply,
+    parentId: user._id,
+    sources: sources.length ? sources : undefined,
+    generatedBy: generatedBy(chat),
+    timestamp: new Date()
+  });
+  const saved = userMessage ? [bot] : [user, bot];
+  try {
+    await Message.insertMany(saved);
+  } catch (err) {
+    // A retry that arrived while this turn was generating was saved first
+    // (the user message comes first, so neither message was inserted)
+    const stored = clientKey && isDuplicateKey(err) && await findKeyedTurn(session, clientKey);
+    if (stored) return stored;
+    throw err;
+  }
+  await Session.updateOne({ _id: session._id }, { currentLeafId: bot._id });
+  publish(session.userId, 'message.created', { sessionId: session._id, messages: saved }, origin);
+  return { user, bot };
+};
+
+// Titles the session after its first exchange; failures only cost the title.
+// Every tab hears of it, the one that asked included.
+const titleAfterTurn = async (chat, turn, reply) => {
+  try {
+    const title = await generateTitle(chat, turn.text ?? turn.userMessage.text, reply);
+    if (title) {
+      publish(chat.session.userId, 'session.updated', { session: await Session.findById(chat.session._id) });
+    }
+    return title;
+  } catch (err) {
+    console.error('[Title Error]:', err);
+    return null;
+  }
+};
+
+/**
+ * Streams the reply of a chat turn as Server-Sent Events: `delta` { text } for
+ * each chunk, then `done` { user, bot } with the saved messages, or `error`
+ * { error }. After the first exchange a `title` { title } event follows with
+ * the session's generated title. Closing the connection aborts the upstream
+ * completion; the turn is still saved with whatever was generated up to then.
+ */
+const streamTurn = async (res, chat, turn, receivedAt) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const upstream = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) upstream.abort();
+  });
+
+  let reply = '';
+  try {
+    for await (const chunk of chat.provider.stream(completionOptions(chat, upstream.signal))) {
+      if (chunk.text) {
+        reply += chunk.text;
+        sendEvent(res, 'delta', { text: chunk.text });
+      }
+    }
+  } catch (err) {
+    if (!upstream.signal.aborted) {
+      console.error('[Chat Stream Error]:', err);
+      sendEvent(res, 'error', err instanceof ProviderError
+        ? { error: err.message, code: err.code, status: err.status }
+        : { error: 'Failed to fetch model response', code: 'provider_error', status: 500 });
+      return res.end();
+    }
+  }
+
+  if (!reply) {
+    if (!upstream.signal.aborted) {
+      sendEvent(res, 'error', { error: 'Model did not return a valid text response.', code: 'empty_reply', status: 500 });
+    }
+    return res.end();
+  }
+
+  try {
+    const saved = await saveTurn(chat, turn, reply, receivedAt);
+    if (!upstream.signal.aborted) sendEvent(res, 'done', saved);
+    if (chat.wantsTitle) {
+      const title = await titleAfterTurn(chat, turn, reply);
+      if (title && !upstream.signal.aborted) sendEvent(res, 'title', { title });
+    }
+  } catch (err) {
+    console.error('Error saving chat turn to DB:', err);
+    if (!upstream.signal.aborted) {
+      sendEvent(res, 'error', { error: 'Failed to save messages.', code: 'server_error', status: 500 });
+    }
+  }
+  res.end();
+};
+
+/**
+ * Generates the reply for `turn` (see saveTurn) and saves it, answering with
+ * { user, bot } or, when the body asks for `stream: true`, with Server-Sent
+ * Events. `upTo` is the message the turn follows. Nothing is saved when
+ * generation fails, so there are no orphaned user messages.
+ */
+const runTurn = async (req, res, { prompt, upTo, turn }) => {
+  const receivedAt = new Date();
+  let chat;
+  try {
+    chat = await prepareChat(req, res, {
+      prompt,
+      upTo,
+      attachments: turn.attachments ?? turn.userMessage?.attachments ?? []
+    });
+  } catch (err) {
+    console.error('[Chat Error]:', err);
+    return res.status(500).json({ error: 'Failed to prepare chat history' });
+  }
+  if (!chat) return;
+
+  if (req.body.stream) return streamTurn(res, chat, turn, receivedAt);
+
+  try {
+    const { text: reply } = await chat.provider.complete(completionOptions(chat));
+    if (!reply) {
+      console.warn(`${chat.provider.label} returned no text content`);
+      return res.status(500).json({ error: "Model did not return a valid text response.", code: 'empty_reply' });
+    }
+
+    res.status(201).json(await saveTurn(chat, turn, reply, receivedAt));
+    // Without a stream to report it on, the title is generated in the background
+    if (chat.wantsTitle) titleAfterTurn(chat, turn, reply);
+  } catch (err) {
+    console.error('[Chat Error]:', err);
+    sendModelError(res, err);
+  }
+};
+
+// A chat turn sent again with the Idempotency-Key of one that was already
+// saved (the client never saw the answer) gets that turn back, as JSON or as
+// a `done` event, without generating or counting another reply. A retry that
+// arrives while the first is still generating gets past this; saveTurn then
+// answers it with the first one's turn.
+const replayTurn = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return next();
+  if (!key || key.length > 100) {
+    return res.status(400).json({ error: 'Idempotency-Key must be 1 to 100 characters.' });
+  }
+  const stored = await findKeyedTurn(req.chatSession, key);
+  if (!stored) return next();
+  if (!req.body.stream) return res.json(stored);
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+  sendEvent(res, 'done', stored);
+  res.end();
+};
+
+// Run one chat turn: reply to `text` at the end of the active branch.
+// Send `stream: true` to receive the reply as Server-Sent Events, and
+// `attachmentIds` to send uploaded files along (see POST .../attachments).
+// Clients that may resend a turn (e.g. from an offline outbox) should send an
+// `Idempotency-Key` header unique to it; see replayTurn.
+app.post('/api/sessions/:sid/chat', replayTurn, quotaGuard, async (req, res) => {
+  const { text } = req.body;
+  if (isBlank(text)) {
+    return res.status(400).json({ error: 'Message text is required.' });
+  }
+  const attachments = await checkAttachments(req.chatSession, req.body.attachmentIds);
+  if (attachments.error) return res.status(400).json({ error: attachments.error });
+  const parentId = await currentLeafId(req.chatSession);
+  const clientKey = req.get('Idempotency-Key');
+  await runTurn(req, res, { prompt: text, upTo: parentId, turn: { text, parentId, attachments, clientKey } });
+});
+
+// Edit a user message: saves the new text as a sibling of the original (which
+// is kept) and replies to it. The original's attachments are kept unless
+// `attachmentIds` is sent. Accepts `stream: true` like the chat route.
+app.patch('/api/sessions/:sid/messages/:mid', quotaGuard, async (req, res) => {
+  const { text } = req.body;
+  if (req.message.role !== 'user') {
+    return res.status(400).json({ error: 'Only user messages can be edited.' });
+  }
+  if (isBlank(text)) {
+    return res.status(400).json({ error: 'Message text is required.' });
+  }
+  const attachments = req.body.attachmentIds === undefined
+    ? req.message.attachments
+    : await checkAttachments(req.chatSession, req.body.attachmentIds);
+  if (attachments?.error) return res.status(400).json({ error: attachments.error });
+  const parentId = req.message.parentId ?? null;
+  await runTurn(req, res, { prompt: text, upTo: parentId, turn: { text, parentId, attachments } });
+});
+
+// Regenerate a bot reply: adds another reply to the same user message.
+// Accepts `stream: true` like the chat route.
+app.post('/api/sessions/:sid/messages/:mid/regenerate', quotaGuard, async (req, res) => {
+  if (req.message.role !== 'bot') {
+    return res.status(400).json({ error: 'Only bot replies can be regenerated.' });
+  }
+  const userMessage = await Message.findById(req.message.parentId);
+  if (!userMessage) {
+    return res.status(409).json({ error: 'The message this reply answers no longer exists.' });
+  }
+  await runTurn(req, res, {
+    prompt: userMessage.text,
+    upTo: userMessage.parentId ?? null,
+    turn: { userMessage }
+  });
+});
+
+// Switch to the branch containing a message (e.g. another version of a reply).
+// Answers with the newest page of that branch, widened to include the message.
+app.post('/api/sessions/:sid/messages/:mid/select', async (req, res) => {
+  res.json(await selectBranch(req.chatSession, req.message, parseLimit(req.query.limit, 50, 200)));
+});
+
+// ----- Feedback -----
+
+// Rate a bot reply: { rating: 'up' | 'down', comment? }. Rating again replaces
+// the earlier rating. Answers with the updated message.
+app.put('/api/sessions/:sid/messages/:mid/feedback', async (req, res) => {
+  if (req.message.role !== 'bot') {
+    return res.status(400).json({ error: 'Only bot replies can be rated.' });
+  }
+  const invalid = checkFeedback(req.body);
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  const { rating, comment } = req.body;
+  req.message.feedback = { rating, comment: comment?.trim() || undefined, createdAt: new Date() };
+  // Replies saved before generatedBy existed count towards the session's current model and persona
+  if (!req.message.generatedBy) {
+    req.message.generatedBy = generatedBy({
+      ...resolveModel(req.chatSession),
+      persona: await resolvePersona(req.chatSession)
+    });
+  }
+  await req.message.save();
+  res.json(req.message);
+});
+
+// Take a rating back
+app.delete('/api/sessions/:sid/messages/:mid/feedback', async (req, res) => {
+  req.message.feedback = undefined;
+  await req.message.save();
+  res.json(req.message);
+});
+
+// Feedback by model, persona and day plus the worst-rated replies (admins only).
+// `from` and `to` are dates (YYYY-MM-DD, `to` inclusive); the default is the last 30 days.
+app.get('/api/admin/feedback', requireAdmin, async (req, res) => {
+  const parseDay = value => (value ? new Date(value) : null);
+  const from = parseDay(req.query.from);
+  const to = parseDay(req.query.to);
+  if ([from, to].some(d => d && Number.isNaN(d.getTime()))) {
+    return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD).' });
+  }
+  // Include the whole `to` day
+  if (to) to.setUTCDate(to.getUTCDate() + 1);
+  res.json(await feedbackReport({ from, to }));
+});
+
+// ----- Text-to-Speech -----
+
+// Voices for the voice picker
+app.get('/api/voices', (req, res) => {
+  res.json({ voices: TTS_VOICES, defaultVoice: DEFAULT_VOICE });
+});
+
+// Sends the error response for a failed synthesis
+const sendTtsError = (res, err) => {
+  console.error('[TTS Error]:', err);
+  if (err instanceof ProviderError) return res.status(err.status).json({ error: err.message, code: err.code });
+  res.status(500).json({ error: 'TTS generation failed' });
+};
+
+// Audio of a bot reply: GET /api/sessions/:sid/messages/:mid/audio?voice=aura-luna-en
+// Synthesized on first request per message and voice, then served from
+// storage with Range support.
+app.get('/api/sessions/:sid/messages/:mid/audio', async (req, res) => {
+  const voice = req.query.voice || DEFAULT_VOICE;
+  if (!isVoice(voice)) return res.status(400).json({ error: 'Unknown voice.' });
+  if (req.message.role !== 'bot') {
+    return res.status(400).json({ error: 'Only bot replies can be spoken.' });
+  }
+
+  let file;
+  try {
+    file = await messageAudio(req.message, voice);
+  } catch (err) {
+    return sendTtsError(res, err);
+  }
+  try {
+    await sendAudio(req, res, file);
+  } catch (err) {
+    // Usually the player hanging up mid-stream
+    if (!res.headersSent) return sendTtsError(res, err);
+    if (err.code !== 'ERR_STREAM_PREMATURE_CLOSE') console.error('[TTS Error]:', err);
+  }
+});
+
+// Speak arbitrary text, uncached (replies should use the audio route above)
+app.post('/api/speak', async (req, res) => {
+  const { text, voice = DEFAULT_VOICE } = req.body;
+  if (!isVoice(voice)) return res.status(400).json({ error: 'Unknown voice.' });
+  try {
+    const speech = await synthesize(text, voice);
+    res.setHeader('Content-Type', 'audio/mpeg');
+    speech.body.pipe(res);
+  } catch (err) {
+    sendTtsError(res, err);
+  }
+});
+
+// ----- Speech-to-Text -----
+
+// Transcribe a recording for the input box. The body is the raw audio with
+// its Content-Type (e.g. audio/webm from MediaRecorder): POST /api/transcribe?language=en
+app.post(
+  '/api/transcribe',
+  quotaGuard,
+  express.raw({ type: ['audio/*', 'video/webm'], limit: '10mb' }),
+  async (req, res) => {
+    if (!Buffer.isBuffer(req.body) || !req.body.length) {
+      return res.status(400).json({ error: 'Send the recording as an audio/* request body.' });
+    }
+    try {
+      const { text } = await getTranscriber().transcribe({
+        audio: req.body,
+        mimeType: req.get('Content-Type'),
+        language: req.query.language
+      });
+      res.json({ text: text.trim() });
+    } catch (err) {
+      console.error('[Transcription Error]:', err);
+      if (err instanceof ProviderError) {
+        return res.status(err.status).json({ error: err.message, code: err.code });
+      }
+      res.status(500).json({ error: 'Transcription failed' });
+    }
+  }
+);
+
+// ----- D‑ID Talking Avatar Jobs -----
+// Videos take D-ID a while, so creating one answers 202 with a job right away
+// and clients poll GET /api/did/:jobId until its status is no longer
+// 'pending' ('done' with a videoUrl, 'error' or 'timeout').
+
+// Start a video of arbitrary text: { text, sourceUrl?, voice? }
+app.post('/api/did', quotaGuard, async (req, res) => {
+  const { text, sourceUrl, voice } = req.body;
+  if (isBlank(text)) return res.status(400).json({ error: 'Text is required.' });
+  const invalid = checkAvatarChoice(req.body);
+  if (invalid) return res.status(400).json({ error: invalid });
+  res.status(202).json(await startAvatarJob(req.user, text, { sourceUrl, voice }));
+});
+
+// Start (or reuse) the video of a bot reply: { sourceUrl?, voice? }
+app.post('/api/sessions/:sid/messages/:mid/avatar', quotaGuard, async (req, res) => {
+  if (req.message.role !== 'bot') {
+    return res.status(400).json({ error: 'Only bot replies can be spoken by the avatar.' });
+  }
+  const invalid = checkAvatarChoice(req.body);
+  if (invalid) return res.status(400).json({ error: invalid });
+  const { sourceUrl, voice } = req.body;
+
+  const existing = await reusableAvatarJob(req.user, req.message._id, { sourceUrl, voice });
+  if (existing) return res.json(await refreshAvatarJob(existing));
+  res.status(202).json(await startAvatarJob(req.user, req.message.text, {
+    messageId: req.message._id,
+    sourceUrl,
+    voice
+  }));
+});
+
+// Status of a job
+app.get('/api/did/:jobId', async (req, res) => {
+  const { jobId } = req.params;
+  const job = mongoose.isValidObjectId(jobId) && await AvatarJob.findOne({ _id: jobId, userId: req.user.userId });
+  if (!job) return res.status(404).json({ error: 'Avatar job not found.' });
+  res.json(await refreshAvatarJob(job));
+});
+
+// Anything a route didn't handle still answers { error, code }
+app.use(sendUnhandledError);
+
+export default app;
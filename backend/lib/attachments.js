@@ -0,0 +1,131 @@
+import path from 'node:path';
+import mongoose from 'mongoose';
+import { PDFParse } from 'pdf-parse';
+import Attachment from '../models/Attachment.js';
+import { estimateTokens } from './history.js';
+
+export const ATTACHMENT_CONFIG = {
+  maxBytes: (Number(process.env.ATTACHMENT_MAX_MB) || 10) * 1024 * 1024,
+  // Room the attachment chunks may take in a prompt
+  tokenBudget: Number(process.env.ATTACHMENT_TOKEN_BUDGET) || 2000,
+};
+
+// Characters per chunk, and how much consecutive chunks overlap
+const CHUNK_SIZE = 1500;
+const CHUNK_OVERLAP = 200;
+
+// Plain text, Markdown and source files we read as UTF-8 whatever their MIME type
+const TEXT_EXTENSIONS = new Set([
+  '.txt', '.md', '.markdown', '.csv', '.json', '.xml', '.yml', '.yaml', '.html', '.css',
+  '.java', '.kt', '.js', '.jsx', '.ts', '.tsx', '.py', '.c', '.h', '.cpp', '.cs', '.go',
+  '.rs', '.rb', '.php', '.sh', '.sql', '.gradle', '.properties',
+]);
+
+const isPdf = file =>
+  file.mimetype === 'application/pdf' || path.extname(file.originalname).toLowerCase() === '.pdf';
+
+const isText = file =>
+  file.mimetype.startsWith('text/') ||
+  TEXT_EXTENSIONS.has(path.extname(file.originalname).toLowerCase());
+
+/**
+ * Extracts the text of an uploaded file (a multer file: { buffer, mimetype,
+ * originalname }). Resolves to null for types we can't read.
+ */
+export async function extractText(file) {
+  if (isPdf(file)) {
+    const parser = new PDFParse({ data: file.buffer });
+    try {
+      return (await parser.getText()).text;
+    } finally {
+      await parser.destroy();
+    }
+  }
+  if (isText(file)) return file.buffer.toString('utf8');
+  return null;
+}
+
+/**
+ * Splits text into overlapping chunks of about CHUNK_SIZE characters,
+ * breaking at line ends where possible so code stays readable.
+ */
+export function chunkText(text) {
+  const chunks = [];
+  let start = 0;
+  while (start < text.length) {
+    let end = Math.min(start + CHUNK_SIZE, text.length);
+    if (end < text.length) {
+      const lineEnd = text.lastIndexOf('\n', end);
+      if (lineEnd > start + CHUNK_SIZE / 2) end = lineEnd + 1;
+    }
+    const chunk = text.slice(start, end).trim();
+    if (chunk) chunks.push(chunk);
+    if (end >= text.length) break;
+    start = Math.max(end - CHUNK_OVERLAP, start + 1);
+  }
+  return chunks;
+}
+
+/**
+ * Checks that `ids` are attachments of `session`. Resolves to their summaries
+ * ({ _id, name, mimeType, size }, as stored on messages) or to { error }.
+ */
+export async function checkAttachments(session, ids) {
+  if (ids == null) return [];
+  if (!Array.isArray(ids) || !ids.every(id => mongoose.isValidObjectId(id))) {
+    return { error: 'attachmentIds must be a list of attachment ids.' };
+  }
+  const found = await Attachment
+    .find({ _id: { $in: ids }, sessionId: session._id })
+    .select('name mimeType size');
+  if (found.length !== new Set(ids.map(String)).size) {
+    return { error: 'Unknown attachment.' };
+  }
+  return found.map(({ _id, name, mimeType, size }) => ({ _id, name, mimeType, size }));
+}
+
+const termsOf = text => (text.toLowerCase().match(/[\p{L}\p{N}_]{3,}/gu) || []);
+
+/**
+ * Builds the system message text with the parts of the attachments most
+ * relevant to `prompt`, or null when there are none. Chunks are ranked by how
+ * many of the prompt's words they contain and added up to
+ * ATTACHMENT_CONFIG.tokenBudget; files that fit whole are sent whole.
+ *
+ * @param {object[]} attachments - Summaries from messages ({ _id, name }).
+ * @param {string} prompt - The user prompt the context is for.
+ */
+export async function attachmentContext(attachments, prompt, config = {}) {
+  if (!attachments.length) return null;
+  const { tokenBudget } = { ...ATTACHMENT_CONFIG, ...config };
+  const docs = await Attachment.find({ _id: { $in: attachments.map(a => a._id) } });
+
+  const terms = new Set(termsOf(prompt));
+  const candidates = docs.flatMap(doc => doc.chunks.map((text, index) => {
+    const words = termsOf(text);
+    const hits = words.filter(w => terms.has(w)).length;
+    return { doc, index, text, score: hits / Math.sqrt(words.length + 1) };
+  }));
+  // Best matches first; ties (e.g. no matches at all) keep document order
+  const ranked = candidates
+    .map((c, order) => ({ ...c, order }))
+    .sort((a, b) => b.score - a.score || a.order - b.order);
+
+  const picked = [];
+  let used = 0;
+  for (const chunk of ranked) {
+    const tokens = estimateTokens(chunk.text);
+    if (used + tokens > tokenBudget) continue;
+    picked.push(chunk);
+    used += tokens;
+  }
+  if (!picked.length) return null;
+
+  // Back in reading order, grouped by file
+  picked.sort((a, b) => a.order - b.order);
+  const sections = [];
+  for (const { doc, index, text } of picked) {
+    sections.push(`--- ${doc.name} (part ${index + 1} of ${doc.chunks.length}) ---\n${text}`);
+  }
+  return `The user attached these files. Use them to answer, and say so when they don't cover the question.\n\n${sections.join('\n\n')}`;
+}
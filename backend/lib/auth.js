@@ -0,0 +1,140 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+
+import User from '../models/User.js';
+import RefreshToken from '../models/RefreshToken.js';
+
+// Short-lived access tokens are sent as `Authorization: Bearer <jwt>`.
+// Long-lived refresh tokens are opaque, rotated on every use and kept in an
+// httpOnly cookie scoped to /api/auth.
+const {
+  JWT_SECRET,
+  ACCESS_TOKEN_TTL = '15m',
+  REFRESH_TOKEN_DAYS = '30',
+  ADMIN_EMAILS = '',
+  NODE_ENV,
+} = process.env;
+
+export const REFRESH_COOKIE = 'refresh_token';
+const REFRESH_TTL_MS = Number(REFRESH_TOKEN_DAYS) * 24 * 60 * 60 * 1000;
+// How long a just-rotated refresh token still works, so that refreshes racing
+// with the same cookie (two tabs loading at once) don't log each other out
+const ROTATION_GRACE_MS = 30 * 1000;
+// Accounts that may see admin pages such as the feedback report
+const ADMINS = new Set(ADMIN_EMAILS.split(',').map(e => e.trim().toLowerCase()).filter(Boolean));
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+export const hashPassword = password => bcrypt.hash(password, 12);
+
+// A bcrypt hash (same cost) that no password matches. Checking against it when
+// there is no account makes an unknown email as slow as a wrong password, so
+// response times don't tell which emails have accounts.
+const NO_ACCOUNT_HASH = '$2b$12$tVFPd4z4MqvcvM9fiQJZj.PrSp.tKBT47Wj6H1u5qhis1IQ7GCe62';
+
+/**
+ * Checks `password` against `hash`; takes as long when `hash` is missing
+ * (no such account) and then resolves to false.
+ */
+export const verifyPassword = async (password, hash) => {
+  const matches = await bcrypt.compare(password, hash || NO_ACCOUNT_HASH);
+  return Boolean(hash) && matches;
+};
+
+export const isAdmin = user => Boolean(user.email) && ADMINS.has(user.email);
+
+// The user as the frontend sees it after login or refresh
+export const publicUser = user => ({ ...user.toJSON(), isAdmin: isAdmin(user) });
+
+export const signAccessToken = user =>
+  jwt.sign({ sub: user.userId }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+
+/**
+ * Creates and stores a new refresh token for `user`; returns the raw token.
+ */
+export async function issueRefreshToken(user) {
+  const token = crypto.randomBytes(48).toString('base64url');
+  await RefreshToken.create({
+    userId: user.userId,
+    tokenHash: sha256(token),
+    expiresAt: new Date(Date.now() + REFRESH_TTL_MS),
+  });
+  return token;
+}
+
+/**
+ * Consumes a refresh token and issues its replacement.
+ * Resolves to { user, token }, to { stale: true } when the token was rotated
+ * more than ROTATION_GRACE_MS ago, or to null when it is unknown or expired.
+ */
+export async function rotateRefreshToken(token) {
+  if (!token) return null;
+  const tokenHash = sha256(token);
+  const now = new Date();
+  // First use: keep the row for the grace period only
+  let row = await RefreshToken.findOneAndUpdate(
+    { tokenHash, rotatedAt: null, expiresAt: { $gt: now } },
+    { rotatedAt: now, expiresAt: new Date(now.getTime() + ROTATION_GRACE_MS) },
+  );
+  if (!row) {
+    // Used before: still fine within the grace period
+    row = await RefreshToken.findOne({ tokenHash });
+    if (!row?.rotatedAt) return null;
+    if (row.expiresAt <= now) return { stale: true };
+  }
+  const user = await User.findOne({ userId: row.userId });
+  if (!user) return null;
+  return { user, token: await issueRefreshToken(user) };
+}
+
+export async function revokeRefreshToken(token) {
+  if (token) await RefreshToken.deleteOne({ tokenHash: sha256(token) });
+}
+
+export const setRefreshCookie = (res, token) => {
+  res.cookie(REFRESH_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: NODE_ENV === 'production',
+    path: '/api/auth',
+    maxAge: REFRESH_TTL_MS,
+  });
+};
+
+export const clearRefreshCookie = res => {
+  res.clearCookie(REFRESH_COOKIE, { path: '/api/auth' });
+};
+
+/**
+ * Express middleware: verifies the bearer access token and sets req.user.
+ */
+export async function requireAuth(req, res, next) {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ error: 'Authentication required.' });
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    const expired = err.name === 'TokenExpiredError';
+    return res.status(401).json(expired
+      ? { error: 'Access token expired.', code: 'token_expired' }
+      : { error: 'Invalid access token.', code: 'invalid_token' });
+  }
+
+  const user = await User.findOne({ userId: payload.sub });
+  if (!user) return res.status(401).json({ error: 'Account no longer exists.' });
+  req.user = user;
+  next();
+}
+
+/**
+ * Express middleware (after requireAuth): only lets ADMIN_EMAILS accounts through.
+ */
+export function requireAdmin(req, res, next) {
+  if (!isAdmin(req.user)) return res.status(403).json({ error: 'Admins only.' });
+  next();
+}
@@ -0,0 +1,134 @@
+import fetch from 'node-fetch';
+import AvatarJob from '../models/AvatarJob.js';
+import { ProviderError } from '../providers/errors.js';
+
+const DID_URL = 'https://api.d-id.com/talks';
+
+export const AVATAR_CONFIG = {
+  sourceUrl: process.env.DID_SOURCE_URL || 'https://create-images-results.d-id.com/default-avatar.jpg',
+  voiceProvider: process.env.DID_VOICE_PROVIDER || 'microsoft',
+  voice: process.env.DID_VOICE || 'en-US-JennyNeural',
+  // Jobs not done by then are given up on
+  timeoutMs: (Number(process.env.DID_TIMEOUT_SECONDS) || 120) * 1000,
+};
+
+// D-ID is asked about a job at most this often, however often clients poll
+const CHECK_INTERVAL_MS = 2000;
+
+const didRequest = async (path, options = {}) => {
+  if (!process.env.DID_API_KEY) {
+    throw new ProviderError('D-ID is not configured. Set DID_API_KEY in your .env file.', { status: 503 });
+  }
+  const res = await fetch(`${DID_URL}${path}`, {
+    ...options,
+    headers: {
+      Authorization: `Bearer ${process.env.DID_API_KEY}`,
+      'Content-Type': 'application/json',
+    },
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    console.error('D-ID Error:', data);
+    if (res.status === 401) {
+      throw new ProviderError('Invalid D-ID API Key. Please check your .env file.', { status: 502, code: 'provider_auth' });
+    }
+    throw new ProviderError(data.description || 'D-ID request failed');
+  }
+  return data;
+};
+
+/**
+ * Starts a talking-avatar video of `text` for `user`. Resolves to the job;
+ * when D-ID refuses the request the job is saved in the 'error' state.
+ *
+ * @param {object} [opts] - { messageId, sourceUrl, voice }; the latter two
+ *   default to AVATAR_CONFIG.
+ */
+export async function startAvatarJob(user, text, { messageId, sourceUrl, voice } = {}) {
+  const job = new AvatarJob({
+    userId: user.userId,
+    messageId,
+    text,
+    sourceUrl: sourceUrl || AVATAR_CONFIG.sourceUrl,
+    voice: voice || AVATAR_CONFIG.voice,
+  });
+  try {
+    const { id } = await didRequest('', {
+      method: 'POST',
+      body: JSON.stringify({
+        script: {
+          type: 'text',
+          input: text,
+          provider: { type: AVATAR_CONFIG.voiceProvider, voice_id: job.voice },
+        },
+        source_url: job.sourceUrl,
+        config: { align_expand_factor: 0, normalization_factor: 0, pad_audio: true },
+      }),
+    });
+    job.talkId = id;
+    job.checkedAt = new Date();
+  } catch (err) {
+    console.error('[D-ID Error]:', err);
+    job.status = 'error';
+    job.error = err instanceof ProviderError ? err.message : 'Failed to start D-ID generation';
+  }
+  return job.save();
+}
+
+/**
+ * Brings a pending job up to date with D-ID: 'done' with its videoUrl,
+ * 'error' when D-ID failed or rejected it, or 'timeout' when it took longer
+ * than AVATAR_CONFIG.timeoutMs. Resolves to the job.
+ */
+export async function refreshAvatarJob(job) {
+  if (job.status !== 'pending') return job;
+  if (Date.now() - job.createdAt > AVATAR_CONFIG.timeoutMs) {
+    job.status = 'timeout';
+    job.error = 'The avatar video took too long to generate.';
+    return job.save();
+  }
+  if (job.checkedAt && Date.now() - job.checkedAt < CHECK_INTERVAL_MS) return job;
+
+  job.checkedAt = new Date();
+  try {
+    const talk = await didRequest(`/${job.talkId}`);
+    if (talk.status === 'done' && talk.result_url) {
+      job.status = 'done';
+      job.videoUrl = talk.result_url;
+    } else if (talk.status === 'error' || talk.status === 'rejected') {
+      job.status = 'error';
+      job.error = talk.error?.description || 'D-ID could not generate the video.';
+    }
+  } catch (err) {
+    // Transient: the next poll asks again, until the timeout
+    console.error('[D-ID Error]:', err);
+  }
+  return job.save();
+}
+
+/**
+ * Validates the optional avatar choice of a request ({ sourceUrl, voice }).
+ * Returns an error message, or null when it's fine.
+ */
+export const checkAvatarChoice = ({ sourceUrl, voice } = {}) => {
+  if (sourceUrl !== undefined && !/^https:\/\/\S+$/.test(String(sourceUrl))) {
+    return 'sourceUrl must be an https URL of the avatar image.';
+  }
+  if (voice !== undefined && (typeof voice !== 'string' || !voice.trim())) {
+    return 'voice must be a voice id.';
+  }
+  return null;
+};
+
+/**
+ * A finished or running job of `user` for bot message `messageId` with the
+ * same avatar and voice, to reuse instead of generating the video again.
+ */
+export const reusableAvatarJob = (user, messageId, { sourceUrl, voice } = {}) =>
+  AvatarJob.findOne({
+    userId: user.userId,
+    messageId,
+    sourceUrl: sourceUrl || AVATAR_CONFIG.sourceUrl,
+    voice: voice || AVATAR_CONFIG.voice,
+    status: { $in: ['pending', 'done'] },
+  }).sort('-createdAt');
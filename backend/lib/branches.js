@@ -0,0 +1,139 @@
+import Message from '../models/Message.js';
+import Session from '../models/Session.js';
+import { pagePath } from './pagination.js';
+
+// A session's messages form a tree: every message points at the message it
+// follows (`parentId`, null for the first one). Editing a user message or
+// regenerating a reply adds a sibling instead of overwriting anything.
+// `Session.currentLeafId` marks the end of the branch currently shown; the
+// active path is that leaf plus its ancestors.
+//
+// Walking the tree only needs each message's id and parent, so that is all
+// loadTree reads; only the messages a caller returns are then read in full
+// (readFull). Long sessions cost the server their ids, not their texts.
+
+const key = id => (id ? String(id) : 'root');
+
+/**
+ * Links messages saved before branching existed (no `parentId` field) into a
+ * single chain in timestamp order. Runs once per session; later calls are a no-op.
+ */
+async function linkLegacyMessages(sessionId) {
+  const legacy = await Message
+    .find({ sessionId, parentId: { $exists: false } })
+    .sort('timestamp');
+  if (!legacy.length) return;
+
+  await Message.bulkWrite(legacy.map((m, i) => ({
+    updateOne: {
+      filter: { _id: m._id },
+      update: { parentId: i ? legacy[i - 1]._id : null },
+    },
+  })));
+}
+
+// Loads the ids and parents of the session's messages with lookup tables for
+// walking the tree
+async function loadTree(session) {
+  // Every route that sets currentLeafId has walked, and so linked, the tree before
+  if (!session.currentLeafId) await linkLegacyMessages(session._id);
+  const msgs = await Message.find({ sessionId: session._id }, 'parentId').sort('timestamp').lean();
+  const byId = new Map(msgs.map(m => [String(m._id), m]));
+  const children = new Map();
+  for (const m of msgs) {
+    const k = key(m.parentId);
+    if (!children.has(k)) children.set(k, []);
+    children.get(k).push(m);
+  }
+  return { msgs, byId, children };
+}
+
+// The message documents of tree entries `msgs`, in the same order
+const readFull = async msgs => {
+  const full = await Message.find({ _id: { $in: msgs.map(m => m._id) } });
+  const byId = new Map(full.map(m => [String(m._id), m]));
+  return msgs.map(m => byId.get(String(m._id)));
+};
+
+// Follows the newest child from `msg` down to a leaf
+const deepestLeaf = (msg, children) => {
+  let leaf = msg;
+  for (let next = children.get(key(leaf._id)); next?.length; next = children.get(key(leaf._id))) {
+    leaf = next[next.length - 1];
+  }
+  return leaf;
+};
+
+// Messages from the root down to `leafId` (inclusive)
+const pathTo = (leafId, byId) => {
+  const path = [];
+  for (let m = leafId && byId.get(String(leafId)); m; m = m.parentId && byId.get(String(m.parentId))) {
+    path.unshift(m);
+  }
+  return path;
+};
+
+// The active leaf: the stored one if it still exists, else the newest message
+const activeLeafId = (session, { msgs, byId }) =>
+  session.currentLeafId && byId.has(String(session.currentLeafId))
+    ? session.currentLeafId
+    : msgs[msgs.length - 1]?._id;
+
+/**
+ * Returns the messages of the active branch, oldest first. With `upTo`, the
+ * path ends at that message instead (null → empty path).
+ */
+export async function activePath(session, upTo) {
+  const tree = await loadTree(session);
+  return readFull(pathTo(upTo === undefined ? activeLeafId(session, tree) : upTo, tree.byId));
+}
+
+/**
+ * A page of the active branch for display (see pagePath for `options`):
+ * { messages, hasMore }, where each message carries `siblingIds`, the ids of
+ * all alternatives at its position (itself included) in creation order.
+ * With `through` (a message of the session), the page is of the branch
+ * through that message instead, continuing down its newest replies, and is
+ * widened to include it; the active branch stays as it is.
+ * Only the page's messages are read in full. Resolves to null when `before`
+ * isn't on the branch (it changed since the client's last page).
+ */
+export async function branchPage(session, { through, ...options }) {
+  const tree = await loadTree(session);
+  const leafId = through
+    ? deepestLeaf(tree.byId.get(String(through)), tree.children)._id
+    : activeLeafId(session, tree);
+  const page = pagePath(pathTo(leafId, tree.byId), { include: through, ...options });
+  if (!page) return null;
+
+  const full = await readFull(page.messages);
+  return {
+    ...page,
+    messages: page.messages.map((m, i) => ({
+      ...full[i].toJSON(),
+      siblingIds: tree.children.get(key(m.parentId)).map(s => s._id),
+    })),
+  };
+}
+
+/**
+ * Id of the last message of the active branch (null for an empty session),
+ * i.e. the parent of the next message.
+ */
+export async function currentLeafId(session) {
+  const tree = await loadTree(session);
+  return activeLeafId(session, tree) || null;
+}
+
+/**
+ * Makes `message`'s branch the active one, continuing down its newest
+ * replies, and resolves to the newest page of it widened to include `message`
+ * (`limit` as for branchPage).
+ */
+export async function selectBranch(session, message, limit) {
+  const tree = await loadTree(session);
+  const leaf = deepestLeaf(tree.byId.get(String(message._id)), tree.children);
+  await Session.updateOne({ _id: session._id }, { currentLeafId: leaf._id });
+  session.currentLeafId = leaf._id;
+  return branchPage(session, { limit, include: message._id });
+}
@@ -0,0 +1,60 @@
+// Stable error codes. Every error response is `{ error, code }` (streamed
+// replies send the same in their `error` event): `error` is a message for
+// people and may change, `code` is for clients to branch on and map to their
+// own wording. Add codes rather than renaming them; clients depend on them.
+//
+// Routes name a code where the status alone is ambiguous (e.g. 401
+// `token_expired` vs `invalid_credentials`, 429 `rate_limited` vs
+// `quota_exceeded`); the errorCodes middleware fills in the rest by status.
+
+// Code for an error response that doesn't name one
+const CODES_BY_STATUS = {
+  400: 'invalid_request',
+  401: 'auth_required',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'file_too_large',
+  415: 'unsupported_file',
+  422: 'unreadable_file',
+  429: 'rate_limited',
+  501: 'not_implemented',
+  502: 'provider_error',
+  503: 'provider_not_configured',
+};
+
+export const codeForStatus = status =>
+  CODES_BY_STATUS[status] || (status >= 500 ? 'server_error' : 'invalid_request');
+
+// Whether a MongoDB write failed on a unique index (E11000), e.g. because a
+// concurrent request inserted the same key first
+export const isDuplicateKey = error => error?.code === 11000;
+
+/**
+ * Express middleware: adds a `code` to every JSON error body (`{ error }`)
+ * a route sends without one.
+ */
+export function errorCodes(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = body => {
+    if (res.statusCode >= 400 && body?.error && !body.code) {
+      body = { ...body, code: codeForStatus(res.statusCode) };
+    }
+    return json(body);
+  };
+  next();
+}
+
+/**
+ * Express error handler of last resort: answers errors routes didn't catch
+ * with a JSON `server_error` instead of Express's HTML page.
+ */
+export function sendUnhandledError(err, req, res, next) {
+  console.error('[Unhandled Error]:', err);
+  if (res.headersSent) return next(err);
+  const status = err.status || err.statusCode || 500;
+  res.status(status).json({
+    error: status < 500 && err.expose ? err.message : 'Something went wrong on the server.',
+    code: codeForStatus(status),
+  });
+}
@@ -0,0 +1,54 @@
+// Live updates for a user's other devices and tabs, sent over
+// GET /api/events as Server-Sent Events. Subscribers live in this process's
+// memory, so with several server instances each only reaches its own clients.
+
+// userId → Set of { res, clientId }
+const subscribers = new Map();
+
+// Keeps idle connections from being closed by proxies
+const HEARTBEAT_MS = 25 * 1000;
+
+/**
+ * Turns `res` into an event stream for `user` until the client disconnects.
+ * `clientId` identifies the tab (X-Client-Id header) so it isn't sent the
+ * events it caused itself.
+ */
+export function subscribe(user, res, clientId) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+  res.write(': connected\n\n');
+
+  const subscriber = { res, clientId };
+  if (!subscribers.has(user.userId)) subscribers.set(user.userId, new Set());
+  subscribers.get(user.userId).add(subscriber);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    const set = subscribers.get(user.userId);
+    set?.delete(subscriber);
+    if (!set?.size) subscribers.delete(user.userId);
+  });
+}
+
+// The tab a request came from, to pass to publish()
+export const originOf = req => req.get('X-Client-Id');
+
+/**
+ * Sends `event` with `data` to every open stream of `userId`, except the tab
+ * `origin` that caused it (see originOf), when given.
+ *
+ * Events: session.created { session }, session.updated { session },
+ * session.deleted { sessionId }, message.created { sessionId, messages }.
+ */
+export function publish(userId, event, data, origin) {
+  const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const { res, clientId } of subscribers.get(userId) || []) {
+    if (origin && clientId === origin) continue;
+    res.write(payload);
+  }
+}
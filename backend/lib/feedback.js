@@ -0,0 +1,98 @@
+import Message from '../models/Message.js';
+import Session from '../models/Session.js';
+
+// Thumbs up/down on bot replies, stored on the Message (`feedback`), and the
+// report admins use to compare personas and models. Every rated reply counts
+// once: a message belongs to one user's session, so it has one rater.
+
+export const FEEDBACK_RATINGS = ['up', 'down'];
+const MAX_COMMENT_LENGTH = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Checks a PUT .../feedback body ({ rating, comment? }).
+ * Returns an error message, or null when it's fine.
+ */
+export function checkFeedback({ rating, comment }) {
+  if (!FEEDBACK_RATINGS.includes(rating)) return `Rating must be one of: ${FEEDBACK_RATINGS.join(', ')}.`;
+  if (comment !== undefined && comment !== null && typeof comment !== 'string') return 'Comment must be text.';
+  if (comment?.length > MAX_COMMENT_LENGTH) return `Comment can be at most ${MAX_COMMENT_LENGTH} characters.`;
+  return null;
+}
+
+/**
+ * A message's `generatedBy`: the provider id, model and persona that wrote it.
+ */
+export const generatedBy = ({ providerId, model, persona }) => ({
+  provider: providerId,
+  model,
+  personaId: persona._id ?? undefined,
+  personaName: persona.name,
+});
+
+// { up, down } counts of the grouped messages
+const COUNTS = {
+  up: { $sum: { $cond: [{ $eq: ['$feedback.rating', 'up'] }, 1, 0] } },
+  down: { $sum: { $cond: [{ $eq: ['$feedback.rating', 'down'] }, 1, 0] } },
+};
+
+const withScore = ({ _id, up, down }) => ({ ..._id, up, down, total: up + down, score: (up - down) / (up + down) });
+
+/**
+ * Feedback given between `from` and `to` (default: the last 30 days):
+ *   totals   { up, down, total, score }
+ *   byModel  [{ provider, model, up, down, total, score }], worst score first
+ *   byPersona [{ personaId, personaName, ... }], worst score first
+ *   byDay    [{ day: 'YYYY-MM-DD', ... }], oldest first
+ *   worst    the `limit` latest thumbs-down replies with their prompt and comment
+ * where score runs from -1 (all down) to 1 (all up).
+ */
+export async function feedbackReport({ from, to, limit = 20 } = {}) {
+  to = to || new Date();
+  from = from || new Date(to - 30 * DAY_MS);
+  const match = { 'feedback.createdAt': { $gte: from, $lt: to } };
+
+  const [groups] = await Message.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        totals: [{ $group: { _id: {}, ...COUNTS } }],
+        byModel: [{ $group: { _id: { provider: '$generatedBy.provider', model: '$generatedBy.model' }, ...COUNTS } }],
+        byPersona: [{
+          $group: { _id: { personaId: '$generatedBy.personaId', personaName: '$generatedBy.personaName' }, ...COUNTS },
+        }],
+        byDay: [{
+          $group: { _id: { day: { $dateToString: { format: '%Y-%m-%d', date: '$feedback.createdAt' } } }, ...COUNTS },
+        }],
+      },
+    },
+  ]);
+
+  const worstScoreFirst = (a, b) => a.score - b.score || b.total - a.total;
+  const down = await Message.find({ ...match, 'feedback.rating': 'down' })
+    .sort({ 'feedback.createdAt': -1 })
+    .limit(limit);
+  const prompts = await Message.find({ _id: { $in: down.map(m => m.parentId).filter(Boolean) } }, 'text');
+  const sessions = await Session.find({ _id: { $in: down.map(m => m.sessionId) } }, 'title');
+  const promptOf = new Map(prompts.map(p => [String(p._id), p.text]));
+  const titleOf = new Map(sessions.map(s => [String(s._id), s.title]));
+
+  return {
+    from,
+    to,
+    totals: groups.totals.map(withScore)[0] ?? { up: 0, down: 0, total: 0, score: null },
+    byModel: groups.byModel.map(withScore).sort(worstScoreFirst),
+    byPersona: groups.byPersona.map(withScore).sort(worstScoreFirst),
+    byDay: groups.byDay.map(withScore).sort((a, b) => a.day.localeCompare(b.day)),
+    worst: down.map(m => m.toObject()).map(m => ({
+      messageId: m._id,
+      sessionId: m.sessionId,
+      sessionTitle: titleOf.get(String(m.sessionId)),
+      prompt: promptOf.get(String(m.parentId)) ?? null,
+      reply: m.text,
+      comment: m.feedback.comment ?? null,
+      ratedAt: m.feedback.createdAt,
+      ...m.generatedBy,
+    })),
+  };
+}
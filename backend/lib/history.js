@@ -0,0 +1,109 @@
+// Stored roles → chat completion roles
+const ROLE_MAP = { user: 'user', bot: 'assistant' };
+
+// How much of a session's history is sent along with each prompt.
+//   HISTORY_STRATEGY     'last-n' (drop older turns) or 'summarize' (fold them into a summary)
+//   HISTORY_MAX_TURNS    number of recent user/bot turns sent verbatim
+//   HISTORY_TOKEN_BUDGET rough upper bound for the whole request, in tokens
+export const HISTORY_CONFIG = {
+  strategy: process.env.HISTORY_STRATEGY === 'summarize' ? 'summarize' : 'last-n',
+  maxTurns: Number(process.env.HISTORY_MAX_TURNS) || 10,
+  tokenBudget: Number(process.env.HISTORY_TOKEN_BUDGET) || 6000,
+};
+
+/**
+ * Cheap token estimate (~4 characters per token for English text).
+ * Good enough for budgeting without pulling in a tokenizer.
+ */
+export const estimateTokens = (text = '') => Math.ceil(text.length / 4);
+
+/**
+ * Groups messages into turns: a user message followed by the bot replies to it.
+ */
+const groupTurns = msgs => {
+  const turns = [];
+  for (const m of msgs) {
+    if (m.role === 'user' || !turns.length) turns.push([m]);
+    else turns[turns.length - 1].push(m);
+  }
+  return turns;
+};
+
+const toTranscript = msgs =>
+  msgs.map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.text}`).join('\n');
+
+/**
+ * Returns a summary of `older`, reusing the one cached on the session and only
+ * folding in messages that were not summarised yet. The cache is only reused
+ * when it covers a prefix of `older`, so switching branches starts afresh.
+ */
+const summarizeOlder = async (session, older, summarize) => {
+  const lastOlder = older[older.length - 1];
+  const through = session.summary && session.summaryThroughId
+    ? older.findIndex(m => m._id.equals(session.summaryThroughId))
+    : -1;
+  if (through === older.length - 1) return session.summary;
+
+  const previous = through === -1 ? null : session.summary;
+  const pending = older.slice(through + 1);
+
+  try {
+    const summary = await summarize(previous, toTranscript(pending));
+    if (!summary) return previous;
+    session.summary = summary;
+    session.summaryThroughId = lastOlder._id;
+    await session.save();
+    return summary;
+  } catch (err) {
+    // A failed summary shouldn't fail the chat turn; fall back to what we have.
+    console.error('[History] Failed to summarise older turns:', err);
+    return previous;
+  }
+};
+
+/**
+ * Builds the `messages` array for a chat completion from the conversation so
+ * far plus the new prompt, trimmed to fit HISTORY_CONFIG.
+ *
+ * @param {object} opts
+ * @param {object} opts.session - Session document the prompt belongs to.
+ * @param {object[]} opts.history - Message documents the prompt follows, oldest
+ *   first (the active branch, see lib/branches.js).
+ * @param {string} opts.systemPrompt - System message placed first.
+ * @param {string} opts.prompt - The new user prompt.
+ * @param {Function} [opts.summarize] - async (previousSummary, transcript) => summary,
+ *   used by the 'summarize' strategy.
+ * @param {string} [opts.context] - Extra system message after the summary,
+ *   e.g. excerpts of attached files (see lib/attachments.js).
+ * @param {object} [opts.config] - Overrides for HISTORY_CONFIG.
+ */
+export async function buildChatMessages({ session, history: msgs, systemPrompt, prompt, summarize, context, config = {} }) {
+  const { strategy, maxTurns, tokenBudget } = { ...HISTORY_CONFIG, ...config };
+
+  const turns = groupTurns(msgs);
+  const cut = Math.max(turns.length - maxTurns, 0);
+  const older = turns.slice(0, cut).flat();
+  const recent = turns.slice(cut).flat();
+
+  let summary = null;
+  if (strategy === 'summarize' && older.length && summarize) {
+    summary = await summarizeOlder(session, older, summarize);
+  }
+
+  const head = [{ role: 'system', content: systemPrompt }];
+  if (summary) {
+    head.push({ role: 'system', content: `Summary of the earlier conversation:\n${summary}` });
+  }
+  if (context) head.push({ role: 'system', content: context });
+  const tail = { role: 'user', content: prompt };
+  const history = recent.map(m => ({ role: ROLE_MAP[m.role], content: m.text }));
+
+  // Drop the oldest history until the whole request fits the token budget.
+  const fixed = [...head, tail].reduce((n, m) => n + estimateTokens(m.content), 0);
+  let used = history.reduce((n, m) => n + estimateTokens(m.content), 0);
+  while (history.length && fixed + used > tokenBudget) {
+    used -= estimateTokens(history.shift().content);
+  }
+
+  return [...head, ...history, tail];
+}
@@ -0,0 +1,139 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import KnowledgeChunk from '../models/KnowledgeChunk.js';
+import { chunkText } from './attachments.js';
+import { estimateTokens } from './history.js';
+
+export const KNOWLEDGE_CONFIG = {
+  dir: process.env.KNOWLEDGE_DIR || 'knowledge',
+  // Passages added to each prompt; 0 turns retrieval off
+  topK: process.env.KNOWLEDGE_TOP_K === undefined ? 3 : Number(process.env.KNOWLEDGE_TOP_K) || 0,
+  tokenBudget: Number(process.env.KNOWLEDGE_TOKEN_BUDGET) || 1500,
+};
+
+const EXTENSIONS = new Set(['.md', '.markdown', '.txt']);
+
+// BM25 parameters (the usual defaults)
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set(`
+  a an and are as at be but by can do does for from how i if in is it its me my
+  not of on or so that the their them then there these this to was we what when
+  where which who why will with you your
+`.trim().split(/\s+/));
+
+// Lowercased words and identifiers, minus stopwords
+export const tokenize = text =>
+  (text.toLowerCase().match(/[\p{L}\p{N}_]{2,}/gu) || []).filter(t => !STOPWORDS.has(t));
+
+// Markdown/text files under dir, as paths relative to it
+async function listFiles(dir, prefix = '') {
+  const entries = await fs.readdir(path.join(dir, prefix), { withFileTypes: true });
+  const files = await Promise.all(entries.map(entry => {
+    const rel = path.join(prefix, entry.name);
+    if (entry.isDirectory()) return listFiles(dir, rel);
+    return EXTENSIONS.has(path.extname(entry.name).toLowerCase()) ? [rel] : [];
+  }));
+  return files.flat();
+}
+
+// A file's first Markdown heading, else its name
+const titleOf = (text, file) =>
+  text.match(/^#{1,6}\s+(.+)$/m)?.[1].trim() || path.basename(file, path.extname(file));
+
+/**
+ * Replaces the knowledge base with the Markdown and text files under `dir`.
+ * Resolves to { files, chunks } counts.
+ */
+export async function ingestFolder(dir = KNOWLEDGE_CONFIG.dir) {
+  const files = await listFiles(dir);
+  const indexedAt = new Date();
+  const docs = [];
+  for (const file of files) {
+    const text = await fs.readFile(path.join(dir, file), 'utf8');
+    const source = file.split(path.sep).join('/');
+    const title = titleOf(text, file);
+    chunkText(text).forEach((chunk, index) => {
+      docs.push({ source, title, index, text: chunk, terms: tokenize(`${title}\n${chunk}`), indexedAt });
+    });
+  }
+  await KnowledgeChunk.deleteMany({});
+  if (docs.length) await KnowledgeChunk.insertMany(docs);
+  return { files: files.length, chunks: docs.length };
+}
+
+// In-memory BM25 index, rebuilt when the stored chunks change
+let cached = null;
+
+async function loadIndex() {
+  const latest = await KnowledgeChunk.findOne().sort('-indexedAt').select('indexedAt');
+  const count = latest ? await KnowledgeChunk.countDocuments() : 0;
+  const version = `${latest?.indexedAt.getTime()}:${count}`;
+  if (cached?.version === version) return cached;
+
+  const chunks = await KnowledgeChunk.find().select('source title index text terms').lean();
+  const df = new Map();
+  let totalLength = 0;
+  for (const chunk of chunks) {
+    chunk.tf = new Map();
+    for (const term of chunk.terms) chunk.tf.set(term, (chunk.tf.get(term) || 0) + 1);
+    for (const term of chunk.tf.keys()) df.set(term, (df.get(term) || 0) + 1);
+    totalLength += chunk.terms.length;
+  }
+  cached = { version, chunks, df, avgLength: totalLength / (chunks.length || 1) };
+  return cached;
+}
+
+/**
+ * The knowledge base passages that best match `query` by BM25, best first.
+ * Resolves to [{ source, title, index, text, score }]; empty when nothing matches.
+ */
+export async function retrievePassages(query, limit = KNOWLEDGE_CONFIG.topK) {
+  if (!limit) return [];
+  const { chunks, df, avgLength } = await loadIndex();
+  const terms = [...new Set(tokenize(query))];
+  if (!chunks.length || !terms.length) return [];
+
+  const scored = chunks.map(chunk => {
+    let score = 0;
+    for (const term of terms) {
+      const f = chunk.tf.get(term);
+      if (!f) continue;
+      const idf = Math.log(1 + (chunks.length - df.get(term) + 0.5) / (df.get(term) + 0.5));
+      score += idf * (f * (K1 + 1)) / (f + K1 * (1 - B + B * chunk.terms.length / avgLength));
+    }
+    return { chunk, score };
+  });
+
+  return scored
+    .filter(s => s.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ chunk: { source, title, index, text }, score }) => ({ source, title, index, text, score }));
+}
+
+/**
+ * Picks the passages for `prompt` that fit KNOWLEDGE_CONFIG.tokenBudget and
+ * builds the system message that asks the model to cite them as [n].
+ * Resolves to { context, sources } (context null when nothing matched); the
+ * sources are stored on the reply to show what it was based on.
+ */
+export async function knowledgeContext(prompt) {
+  const picked = [];
+  let used = 0;
+  for (const passage of await retrievePassages(prompt)) {
+    const tokens = estimateTokens(passage.text);
+    if (used + tokens > KNOWLEDGE_CONFIG.tokenBudget) continue;
+    picked.push(passage);
+    used += tokens;
+  }
+  if (!picked.length) return { context: null, sources: [] };
+
+  const passages = picked.map((p, i) => `[${i + 1}] ${p.title} (${p.source})\n${p.text}`);
+  return {
+    context: 'Excerpts from the team knowledge base. When you use one, cite it by its number, e.g. [1]. ' +
+      `Ignore the ones that don't apply.\n\n${passages.join('\n\n')}`,
+    sources: picked.map(({ source, title, index, score }) => ({ source, title, index, score }))
+  };
+}
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+
+/**
+ * Looks up session `sid` on behalf of `user`.
+ * Resolves to { session } when the user owns it, otherwise to
+ * { status, error } with 400 (malformed id), 404 (no such session) or
+ * 403 (someone else's session).
+ */
+export async function findOwnedSession(sid, user) {
+  if (!mongoose.isValidObjectId(sid)) {
+    return { status: 400, error: 'Invalid session id.' };
+  }
+  const session = await Session.findById(sid);
+  if (!session) {
+    return { status: 404, error: 'Session not found.' };
+  }
+  if (session.userId !== user.userId) {
+    return { status: 403, error: 'You do not have access to this session.' };
+  }
+  return { session };
+}
+
+/**
+ * Route parameter handler for `:sid`: rejects requests for sessions the
+ * current user doesn't own and exposes the session as req.chatSession.
+ * Register with app.param('sid', sessionGuard) after the auth middleware.
+ */
+export async function sessionGuard(req, res, next, sid) {
+  const { session, status, error } = await findOwnedSession(sid, req.user);
+  if (!session) return res.status(status).json({ error });
+  req.chatSession = session;
+  next();
+}
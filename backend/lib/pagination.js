@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+// Cursor pagination helpers. Cursors are opaque to clients: pass back the
+// `nextCursor` (sessions) or the oldest message id (messages) to get more.
+
+export const parseLimit = (value, fallback, max) =>
+  Math.min(Math.max(Number.parseInt(value, 10) || fallback, 1), max);
+
+// Session cursor: position in the (updatedAt desc, _id desc) ordering
+export const encodeCursor = doc =>
+  Buffer.from(`${doc.updatedAt.toISOString()}|${doc._id}`).toString('base64url');
+
+/**
+ * Decodes a cursor from encodeCursor; returns { updatedAt, id } or null when
+ * it's malformed.
+ */
+export const decodeCursor = cursor => {
+  const [date, id] = Buffer.from(String(cursor), 'base64url').toString().split('|');
+  const updatedAt = new Date(date);
+  return mongoose.isValidObjectId(id) && !Number.isNaN(updatedAt.getTime()) ? { updatedAt, id } : null;
+};
+
+/**
+ * Query matching the documents after `cursor` in (updatedAt desc, _id desc) order.
+ */
+export const afterCursor = ({ updatedAt, id }) => ({
+  $or: [
+    { updatedAt: { $lt: updatedAt } },
+    { updatedAt, _id: { $lt: id } },
+  ],
+});
+
+/**
+ * One page of an active branch (oldest first): the `limit` messages right
+ * before message `before`, or the newest ones without it. With `include`,
+ * the page is widened so that message is part of it.
+ * Returns { messages, hasMore } where hasMore means older messages exist,
+ * or null when `before` isn't on the path.
+ */
+export function pagePath(path, { before, limit, include }) {
+  let end = path.length;
+  if (before) {
+    end = path.findIndex(m => String(m._id) === String(before));
+    if (end === -1) return null;
+  }
+  let start = Math.max(0, end - limit);
+  if (include) {
+    const i = path.findIndex(m => String(m._id) === String(include));
+    if (i !== -1 && i < start) start = i;
+  }
+  return { messages: path.slice(start, end), hasMore: start > 0 };
+}
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+import Persona from '../models/Persona.js';
+
+export const SYSTEM_CONTEXT =
+  "You are a helpful assistant that only answers questions related to Java. If the question is off-topic, reply politely and decline.";
+
+// Used by sessions without a persona (or whose persona was deleted)
+export const DEFAULT_PERSONA = {
+  _id: null,
+  name: 'Java Assistant',
+  systemPrompt: SYSTEM_CONTEXT,
+  temperature: 0.7,
+  maxTokens: 150,
+  avatar: '☕',
+};
+
+/**
+ * Returns the persona a session talks as, falling back to DEFAULT_PERSONA.
+ */
+export async function resolvePersona(session) {
+  if (!session.personaId) return DEFAULT_PERSONA;
+  return (await Persona.findById(session.personaId)) || DEFAULT_PERSONA;
+}
+
+/**
+ * Checks that `personaId` (when given) names a persona owned by `user`.
+ * Returns an error message, or null when it's fine. `null` clears the persona.
+ */
+export async function checkPersonaChoice(personaId, user) {
+  if (personaId === undefined || personaId === null) return null;
+  if (!mongoose.isValidObjectId(personaId)) return 'Invalid persona id.';
+  const persona = await Persona.findOne({ _id: personaId, userId: user.userId });
+  return persona ? null : 'Persona not found.';
+}
+
+/**
+ * Route parameter handler for `:pid`, the persona counterpart of sessionGuard.
+ * Exposes the persona as req.persona.
+ */
+export async function personaGuard(req, res, next, pid) {
+  if (!mongoose.isValidObjectId(pid)) {
+    return res.status(400).json({ error: 'Invalid persona id.' });
+  }
+  const persona = await Persona.findById(pid);
+  if (!persona) return res.status(404).json({ error: 'Persona not found.' });
+  if (persona.userId !== req.user.userId) {
+    return res.status(403).json({ error: 'You do not have access to this persona.' });
+  }
+  req.persona = persona;
+  next();
+}
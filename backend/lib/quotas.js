@@ -0,0 +1,131 @@
+import Usage from '../models/Usage.js';
+import { estimateTokens } from './history.js';
+import { isDuplicateKey } from './errors.js';
+
+// Unset limits use the defaults; 0 turns a limit off
+const limit = (value, fallback) =>
+  value === undefined || value === '' ? fallback : Math.max(Number(value) || 0, 0);
+
+// Budgets per user and window, from the environment (see README)
+export const QUOTA_CONFIG = {
+  minute: {
+    requests: limit(process.env.RATE_LIMIT_PER_MINUTE, 20),
+    tokens: limit(process.env.TOKEN_QUOTA_PER_MINUTE, 20000),
+  },
+  day: {
+    requests: limit(process.env.RATE_LIMIT_PER_DAY, 500),
+    tokens: limit(process.env.TOKEN_QUOTA_PER_DAY, 200000),
+  },
+};
+
+const WINDOW_MS = { minute: 60 * 1000, day: 24 * 60 * 60 * 1000 };
+const WINDOWS = Object.keys(WINDOW_MS);
+
+// Fixed windows aligned to the clock (UTC days)
+const windowOf = (window, now = Date.now()) => {
+  const start = now - (now % WINDOW_MS[window]);
+  return { start: new Date(start), end: new Date(start + WINDOW_MS[window]) };
+};
+
+// Adds to the user's counters of every current window
+const record = (userId, inc) => Promise.all(WINDOWS.map(async window => {
+  const { start, end } = windowOf(window);
+  const add = () => Usage.updateOne(
+    { userId, window, start },
+    { $inc: inc, $setOnInsert: { expiresAt: end } },
+    { upsert: true }
+  );
+  try {
+    await add();
+  } catch (err) {
+    // A concurrent first request of the window inserted the row; add to it
+    if (!isDuplicateKey(err)) throw err;
+    await add();
+  }
+}));
+
+/**
+ * The user's consumption in the current minute and day, with the limits.
+ * Resolves to { minute: { requests, tokens, resetsAt }, day: {...} } where
+ * requests and tokens are { used, limit } (limit null when unlimited).
+ */
+export async function usageReport(user) {
+  const report = {};
+  await Promise.all(WINDOWS.map(async window => {
+    const { start, end } = windowOf(window);
+    const row = await Usage.findOne({ userId: user.userId, window, start });
+    const entry = { resetsAt: end };
+    for (const kind of ['requests', 'tokens']) {
+      entry[kind] = { used: row?.[kind] ?? 0, limit: QUOTA_CONFIG[window][kind] || null };
+    }
+    report[window] = entry;
+  }));
+  return report;
+}
+
+/**
+ * Middleware for routes that call a model: answers 429 with Retry-After while
+ * the user is over one of their budgets, otherwise counts the request.
+ * Budgets are checked before the request runs, so the last request of a
+ * window may overshoot the token budget; the next one waits.
+ */
+export async function quotaGuard(req, res, next) {
+  const report = await usageReport(req.user);
+  for (const window of WINDOWS) {
+    const over = ['requests', 'tokens'].find(kind => {
+      const { used, limit } = report[window][kind];
+      return limit !== null && used >= limit;
+    });
+    if (over) {
+      const retryAfter = Math.max(Math.ceil((report[window].resetsAt - Date.now()) / 1000), 1);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: over === 'requests'
+          ? `Too many requests: the limit is ${report[window][over].limit} per ${window}.`
+          : `Token quota exceeded: the limit is ${report[window][over].limit} tokens per ${window}.`,
+        code: over === 'requests' ? 'rate_limited' : 'quota_exceeded',
+        retryAfter
+      });
+    }
+  }
+  await record(req.user.userId, { requests: 1 });
+  next();
+}
+
+// Tokens a completion used: the provider's count, else our estimate
+const tokensUsed = (usage, messages, text) =>
+  usage?.totalTokens ??
+  messages.reduce((n, m) => n + estimateTokens(m.content), 0) + estimateTokens(text);
+
+/**
+ * Wraps a provider so the tokens of every completion (replies, summaries,
+ * titles) are charged to `user`. Recording failures are logged, not thrown.
+ */
+export const meter = (provider, user) => {
+  const charge = (usage, messages, text) =>
+    record(user.userId, { tokens: tokensUsed(usage, messages, text) })
+      .catch(err => console.error('[Usage Error]:', err));
+
+  return {
+    ...provider,
+    async complete(opts) {
+      const result = await provider.complete(opts);
+      await charge(result.usage, opts.messages, result.text);
+      return result;
+    },
+    async *stream(opts) {
+      let text = '';
+      let usage;
+      try {
+        for await (const chunk of provider.stream(opts)) {
+          if (chunk.text) text += chunk.text;
+          if (chunk.usage) usage = chunk.usage;
+          yield chunk;
+        }
+      } finally {
+        // Also runs when the client stopped the reply half-way
+        if (text || usage) await charge(usage, opts.messages, text);
+      }
+    },
+  };
+};
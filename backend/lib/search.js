@@ -0,0 +1,86 @@
+import Message from '../models/Message.js';
+import Session from '../models/Session.js';
+
+const SNIPPET_RADIUS = 80;
+
+const escapeRegExp = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Words of the query, used to locate matches for highlighting and as the
+// $text search. Only the words are passed on, so quotes (phrases) and a
+// leading minus (negation) are not search syntax: "-foo" searches for foo.
+const queryTerms = q => [...new Set(q.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [])];
+
+/**
+ * Cuts a snippet of `text` around the first match of `terms` and returns it
+ * with the character ranges to highlight: { snippet, highlights: [[start, end]] }.
+ * Terms match as word prefixes, so "generic" also marks "generics".
+ */
+export function makeSnippet(text, terms) {
+  const re = terms.length
+    ? new RegExp(`\\b(?:${terms.map(escapeRegExp).join('|')})[\\p{L}\\p{N}_]*`, 'giu')
+    : null;
+  const first = re ? text.search(re) : -1;
+
+  const start = Math.max(0, (first === -1 ? 0 : first) - SNIPPET_RADIUS);
+  const end = Math.min(text.length, (first === -1 ? 0 : first) + SNIPPET_RADIUS * 2);
+  const prefix = start > 0 ? '…' : '';
+  const snippet = prefix + text.slice(start, end) + (end < text.length ? '…' : '');
+
+  const highlights = [];
+  if (re) {
+    for (const m of snippet.matchAll(re)) highlights.push([m.index, m.index + m[0].length]);
+  }
+  return { snippet, highlights };
+}
+
+/**
+ * Full-text search over the titles and messages of `user`'s sessions.
+ * Resolves to hits sorted by relevance:
+ *   { type: 'session'|'message', sessionId, sessionTitle, messageId?, role?,
+ *     snippet, highlights, date }
+ */
+export async function searchUserContent(user, q, limit = 20) {
+  const terms = queryTerms(q);
+  if (!terms.length) return [];
+  const search = terms.join(' ');
+  const sessions = await Session.find({ userId: user.userId }, 'title createdAt');
+  const titles = new Map(sessions.map(s => [String(s._id), s.title]));
+
+  const [sessionHits, messageHits] = await Promise.all([
+    Session
+      .find({ userId: user.userId, $text: { $search: search } }, { score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(limit),
+    Message
+      .find(
+        { sessionId: { $in: sessions.map(s => s._id) }, $text: { $search: search } },
+        { score: { $meta: 'textScore' } }
+      )
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(limit),
+  ]);
+
+  return [
+    ...sessionHits.map(s => ({
+      type: 'session',
+      sessionId: s._id,
+      sessionTitle: s.title,
+      ...makeSnippet(s.title, terms),
+      date: s.createdAt,
+      score: s.get('score'),
+    })),
+    ...messageHits.map(m => ({
+      type: 'message',
+      sessionId: m.sessionId,
+      sessionTitle: titles.get(String(m.sessionId)),
+      messageId: m._id,
+      role: m.role,
+      ...makeSnippet(m.text, terms),
+      date: m.timestamp,
+      score: m.get('score'),
+    })),
+  ]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ score, ...hit }) => hit);
+}
@@ -0,0 +1,46 @@
+import Session from '../models/Session.js';
+
+const MAX_TITLE_LENGTH = 60;
+
+// Strips the quotes, "Title:" prefixes and trailing dots models like to add
+const cleanTitle = raw => {
+  const title = (raw || '')
+    .split('\n')[0]
+    .replace(/^\s*(title\s*:\s*)?/i, '')
+    .replace(/^["'`*#\s]+|["'`*.\s]+$/g, '');
+  return title.length > MAX_TITLE_LENGTH
+    ? `${title.slice(0, MAX_TITLE_LENGTH - 1).trimEnd()}…`
+    : title;
+};
+
+/**
+ * Asks the session's model for a short title describing the first exchange and
+ * stores it, unless the user has renamed the session in the meantime.
+ * Resolves to the new title, or null when none was set.
+ *
+ * @param {object} chat - Prepared chat ({ session, provider, model }).
+ * @param {string} text - The user's first message.
+ * @param {string} reply - The bot's reply to it.
+ */
+export async function generateTitle({ session, provider, model }, text, reply) {
+  const { text: raw } = await provider.complete({
+    messages: [
+      {
+        role: 'system',
+        content: 'Write a title of at most six words for the conversation below. Reply with the title only, no quotes.'
+      },
+      { role: 'user', content: `User: ${text.slice(0, 1000)}\n\nAssistant: ${reply.slice(0, 1000)}` }
+    ],
+    model,
+    temperature: 0.3,
+    maxTokens: 20
+  });
+
+  const title = cleanTitle(raw);
+  if (!title) return null;
+  const { modifiedCount } = await Session.updateOne(
+    { _id: session._id, titleSource: { $ne: 'user' } },
+    { title, titleSource: 'auto' }
+  );
+  return modifiedCount ? title : null;
+}
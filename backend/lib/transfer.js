@@ -0,0 +1,147 @@
+import mongoose from 'mongoose';
+
+import Message from '../models/Message.js';
+import Session from '../models/Session.js';
+import { activePath, currentLeafId } from './branches.js';
+
+// Marker and version of the JSON export; imports must match them
+const FORMAT = 'chat-with-gemini/session';
+const VERSION = 1;
+
+export const EXPORT_FORMATS = ['md', 'json', 'html'];
+
+const ROLE_LABELS = { user: 'You', bot: 'Assistant' };
+
+const escapeHtml = s => s.replace(/[&<>"']/g, c => (
+  { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]
+));
+
+const toMarkdown = (session, msgs) => [
+  `# ${session.title}`,
+  '',
+  `_Created ${session.createdAt.toISOString()} · exported ${new Date().toISOString()}_`,
+  '',
+  ...msgs.flatMap(m => [
+    `## ${ROLE_LABELS[m.role]} — ${m.timestamp.toISOString()}`,
+    '',
+    m.text,
+    '',
+  ]),
+].join('\n');
+
+const toHtml = (session, msgs) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(session.title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; }
+  .msg { border-radius: 1rem; padding: 1rem; margin: 1rem 0; white-space: pre-wrap; }
+  .user { background: #bfdbfe; }
+  .bot { background: #dcfce7; }
+  .meta { font-size: .8rem; color: #555; margin-bottom: .5rem; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(session.title)}</h1>
+<p class="meta">Created ${session.createdAt.toISOString()} · exported ${new Date().toISOString()}</p>
+${msgs.map(m => `<div class="msg ${m.role}">
+<div class="meta"><strong>${ROLE_LABELS[m.role]}</strong> · ${m.timestamp.toISOString()}</div>
+${escapeHtml(m.text)}
+</div>`).join('\n')}
+</body>
+</html>
+`;
+
+// JSON keeps the whole message tree, so every branch survives a round trip
+const toJson = async session => {
+  const msgs = await Message.find({ sessionId: session._id }).sort('timestamp');
+  const leafId = await currentLeafId(session);
+  return JSON.stringify({
+    format: FORMAT,
+    version: VERSION,
+    exportedAt: new Date(),
+    session: {
+      title: session.title,
+      createdAt: session.createdAt,
+      // Left out when unset (null), so imports fall back to the defaults
+      provider: session.provider ?? undefined,
+      model: session.model ?? undefined,
+    },
+    messages: msgs.map(m => ({
+      id: String(m._id),
+      parentId: m.parentId ? String(m.parentId) : null,
+      role: m.role,
+      text: m.text,
+      timestamp: m.timestamp,
+    })),
+    currentLeafId: leafId ? String(leafId) : null,
+  }, null, 2);
+};
+
+/**
+ * Renders a session for download. Markdown and HTML contain the active
+ * branch; JSON contains every message and can be imported again.
+ * Resolves to { body, contentType, filename }.
+ */
+export async function exportSession(session, format) {
+  const base = session.title.replace(/[^\w.-]+/g, '_').replace(/^_+|_+$/g, '') || 'chat';
+  if (format === 'json') {
+    return { body: await toJson(session), contentType: 'application/json', filename: `${base}.json` };
+  }
+  const msgs = await activePath(session);
+  if (format === 'html') {
+    return { body: toHtml(session, msgs), contentType: 'text/html; charset=utf-8', filename: `${base}.html` };
+  }
+  return { body: toMarkdown(session, msgs), contentType: 'text/markdown; charset=utf-8', filename: `${base}.md` };
+}
+
+/**
+ * Checks a JSON export; returns an error message, or null when it can be imported.
+ */
+export function checkImport(data) {
+  if (!data || data.format !== FORMAT) return 'Not a session export.';
+  if (data.version !== VERSION) return `Unsupported export version ${data.version}.`;
+  if (!data.session || typeof data.session.title !== 'string') return 'Export is missing the session title.';
+  if (!Array.isArray(data.messages)) return 'Export is missing its messages.';
+
+  const seen = new Set();
+  for (const m of data.messages) {
+    if (!m || typeof m.id !== 'string' || seen.has(m.id)) return 'Every message needs a unique id.';
+    if (!['user', 'bot'].includes(m.role)) return `Message ${m.id} has an invalid role.`;
+    if (typeof m.text !== 'string' || !m.text) return `Message ${m.id} has no text.`;
+    // Parents come first in an export, which also rules out cycles
+    if (m.parentId != null && !seen.has(m.parentId)) return `Message ${m.id} refers to an unknown parent.`;
+    seen.add(m.id);
+  }
+  if (data.currentLeafId != null && !seen.has(data.currentLeafId)) return 'Export refers to an unknown current message.';
+  return null;
+}
+
+/**
+ * Recreates an exported session (validated with checkImport) for `user`,
+ * with fresh ids. Resolves to the new session.
+ */
+export async function importSession(user, data) {
+  const ids = new Map(data.messages.map(m => [m.id, new mongoose.Types.ObjectId()]));
+  const when = value => (value && !Number.isNaN(Date.parse(value)) ? new Date(value) : new Date());
+
+  const session = await Session.create({
+    userId: user.userId,
+    title: data.session.title || 'Imported Chat',
+    createdAt: when(data.session.createdAt),
+    provider: data.session.provider ?? undefined,
+    model: data.session.model ?? undefined,
+    currentLeafId: data.currentLeafId ? ids.get(data.currentLeafId) : undefined,
+  });
+
+  await Message.insertMany(data.messages.map(m => ({
+    _id: ids.get(m.id),
+    sessionId: session._id,
+    parentId: m.parentId ? ids.get(m.parentId) : null,
+    role: m.role,
+    text: m.text,
+    timestamp: when(m.timestamp),
+  })));
+  return session;
+}
@@ -0,0 +1,147 @@
+import { pipeline } from 'node:stream/promises';
+import mongoose from 'mongoose';
+import fetch from 'node-fetch';
+import { ProviderError } from '../providers/errors.js';
+
+// Deepgram Aura voices offered in the voice picker
+export const TTS_VOICES = [
+  { id: 'aura-asteria-en', label: 'Asteria (US, female)' },
+  { id: 'aura-luna-en', label: 'Luna (US, female)' },
+  { id: 'aura-stella-en', label: 'Stella (US, female)' },
+  { id: 'aura-athena-en', label: 'Athena (UK, female)' },
+  { id: 'aura-hera-en', label: 'Hera (US, female)' },
+  { id: 'aura-orion-en', label: 'Orion (US, male)' },
+  { id: 'aura-arcas-en', label: 'Arcas (US, male)' },
+  { id: 'aura-perseus-en', label: 'Perseus (US, male)' },
+  { id: 'aura-angus-en', label: 'Angus (Ireland, male)' },
+  { id: 'aura-orpheus-en', label: 'Orpheus (US, male)' },
+  { id: 'aura-helios-en', label: 'Helios (UK, male)' },
+  { id: 'aura-zeus-en', label: 'Zeus (US, male)' },
+];
+
+export const DEFAULT_VOICE = TTS_VOICES.some(v => v.id === process.env.TTS_VOICE)
+  ? process.env.TTS_VOICE
+  : 'aura-asteria-en';
+
+export const isVoice = voice => TTS_VOICES.some(v => v.id === voice);
+
+/**
+ * Asks Deepgram to speak `text` with `voice`; resolves to the MP3 response.
+ */
+export async function synthesize(text, voice = DEFAULT_VOICE) {
+  if (!process.env.DEEPGRAM_KEY) {
+    throw new ProviderError('Deepgram is not configured. Set DEEPGRAM_KEY in your .env file.', { status: 503 });
+  }
+  const res = await fetch(`https://api.deepgram.com/v1/speak?model=${voice}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Token ${process.env.DEEPGRAM_KEY}`,
+    },
+    body: JSON.stringify({ text }),
+  });
+  if (!res.ok) {
+    console.error('Deepgram Error:', await res.text());
+    throw new ProviderError('TTS failed');
+  }
+  return res;
+}
+
+// Synthesized audio lives in the `tts` GridFS bucket, one file per message and voice
+let bucket;
+const ttsBucket = () => {
+  if (!bucket) {
+    bucket = new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: 'tts' });
+    // Files are looked up by message and voice, and deleted by session
+    mongoose.connection.db.collection('tts.files').createIndexes([
+      { key: { 'metadata.messageId': 1, 'metadata.voice': 1 } },
+      { key: { 'metadata.sessionId': 1 } },
+    ]).catch(err => console.error('[TTS Error]: could not index stored audio:', err));
+  }
+  return bucket;
+};
+
+// Syntheses in progress, so concurrent requests for the same audio share one
+const pending = new Map();
+
+/**
+ * The stored audio of bot message `message` in `voice`, synthesized and
+ * saved on first use. Resolves to the GridFS file ({ _id, length, ... }).
+ */
+export async function messageAudio(message, voice) {
+  const metadata = { messageId: message._id, voice };
+  const [cached] = await ttsBucket().find({ 'metadata.messageId': message._id, 'metadata.voice': voice }).toArray();
+  if (cached) return cached;
+
+  const key = `${message._id}:${voice}`;
+  if (!pending.has(key)) {
+    pending.set(key, (async () => {
+      const speech = await synthesize(message.text, voice);
+      const upload = ttsBucket().openUploadStream(`${key}.mp3`, {
+        metadata: { ...metadata, sessionId: message.sessionId },
+      });
+      try {
+        await pipeline(speech.body, upload);
+      } catch (err) {
+        await upload.abort().catch(() => {});
+        throw err;
+      }
+      const [file] = await ttsBucket().find({ _id: upload.id }).toArray();
+      return file;
+    })().finally(() => pending.delete(key)));
+  }
+  return pending.get(key);
+}
+
+// Parses a single-range `Range: bytes=...` header for a file of `size` bytes.
+// Returns { start, end } (inclusive), null without a usable header, or false
+// when the range can't be satisfied.
+const parseRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+  if (!match || (!match[1] && !match[2])) return null;
+  let start, end;
+  if (!match[1]) {
+    // Suffix range: the last N bytes
+    start = Math.max(size - Number(match[2]), 0);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+  }
+  return start <= end && start < size ? { start, end } : false;
+};
+
+/**
+ * Streams a stored audio file, honouring a Range request header so players
+ * can seek (206 Partial Content) and answering 416 for impossible ranges.
+ */
+export async function sendAudio(req, res, file) {
+  res.set({
+    'Content-Type': 'audio/mpeg',
+    'Accept-Ranges': 'bytes',
+    'Cache-Control': 'private, max-age=86400',
+  });
+  const range = parseRange(req.get('Range'), file.length);
+  if (range === false) {
+    res.set('Content-Range', `bytes */${file.length}`);
+    return res.sendStatus(416);
+  }
+  if (range) {
+    res.status(206).set({
+      'Content-Range': `bytes ${range.start}-${range.end}/${file.length}`,
+      'Content-Length': String(range.end - range.start + 1),
+    });
+  } else {
+    res.set('Content-Length', String(file.length));
+  }
+  const stream = ttsBucket().openDownloadStream(file._id, range ? { start: range.start, end: range.end + 1 } : {});
+  await pipeline(stream, res);
+}
+
+/**
+ * Removes the stored audio of a session's messages.
+ */
+export async function deleteSessionAudio(sessionId) {
+  const files = await ttsBucket().find({ 'metadata.sessionId': sessionId }).toArray();
+  await Promise.all(files.map(f => ttsBucket().delete(f._id)));
+}
@@ -0,0 +1,15 @@
+import mongoose from 'mongoose';
+
+// A file uploaded into a session. Only its extracted text is kept, split into
+// chunks that are picked for prompts by relevance (see lib/attachments.js).
+const AttachmentSchema = new mongoose.Schema({
+  sessionId: { type: mongoose.Types.ObjectId, required: true, index: true },
+  userId: { type: String, required: true },
+  name: { type: String, required: true },
+  mimeType: { type: String },
+  size: { type: Number },
+  chunks: [{ type: String }],
+  createdAt: { type: Date, default: Date.now },
+});
+
+export default mongoose.model('Attachment', AttachmentSchema);
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+// A D-ID talking-avatar video being generated (see lib/avatar.js). D-ID's
+// result links expire after a day, so the jobs do too.
+const AvatarJobSchema = new mongoose.Schema({
+  userId: { type: String, required: true, index: true },
+  // Bot message the video speaks, when it was made for one
+  messageId: { type: mongoose.Types.ObjectId, index: true },
+  text: { type: String, required: true },
+  sourceUrl: { type: String, required: true },
+  voice: { type: String, required: true },
+  // D-ID talk id, once it was created
+  talkId: { type: String },
+  status: {
+    type: String,
+    enum: ['pending', 'done', 'error', 'timeout'],
+    default: 'pending',
+  },
+  videoUrl: { type: String },
+  error: { type: String },
+  // Last time D-ID was asked about the talk
+  checkedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now, expires: 60 * 60 * 24 },
+}, {
+  // Clients only need the outcome
+  toJSON: {
+    transform: (doc, ret) => {
+      for (const key of ['userId', 'text', 'sourceUrl', 'voice', 'talkId', 'checkedAt', '__v']) delete ret[key];
+      return ret;
+    },
+  },
+});
+
+export default mongoose.model('AvatarJob', AvatarJobSchema);
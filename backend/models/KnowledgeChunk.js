@@ -0,0 +1,16 @@
+import mongoose from 'mongoose';
+
+// One passage of the team knowledge base, with the terms the BM25 index is
+// built from (see lib/knowledge.js). Rebuilt by `npm run ingest`.
+const KnowledgeChunkSchema = new mongoose.Schema({
+  // File path relative to the ingested folder, and the document's title
+  source: { type: String, required: true, index: true },
+  title: { type: String, required: true },
+  // Position of the passage in its file
+  index: { type: Number, required: true },
+  text: { type: String, required: true },
+  terms: [{ type: String }],
+  indexedAt: { type: Date, default: Date.now },
+});
+
+export default mongoose.model('KnowledgeChunk', KnowledgeChunkSchema);
@@ -5,6 +5,44 @@ const MessageSchema = new mongoose.Schema({
   role: { type: String, enum: ['user','bot'], required: true },
   text: { type: String, required: true },
   timestamp: { type: Date, default: Date.now },
+  // Message this one follows; null for the first. Siblings are alternative
+  // versions (edits or regenerated replies), see lib/branches.js.
+  parentId: { type: mongoose.Types.ObjectId, index: true },
+  // Files sent along with a user message; `_id` is the Attachment's id
+  attachments: {
+    type: [{ _id: mongoose.Types.ObjectId, name: String, mimeType: String, size: Number }],
+    default: undefined,
+  },
+  // Knowledge base passages a bot reply was given to cite (see lib/knowledge.js)
+  sources: {
+    type: [{ _id: false, source: String, title: String, index: Number, score: Number }],
+    default: undefined,
+  },
+  // Idempotency-Key of the POST .../chat that saved a user message, so a
+  // retried request gets the saved turn back instead of a second one
+  clientKey: { type: String, default: undefined },
+  // What wrote a bot reply, kept even if the session switches model or persona later
+  generatedBy: {
+    type: { _id: false, provider: String, model: String, personaId: mongoose.Types.ObjectId, personaName: String },
+    default: undefined,
+  },
+  // The user's rating of a bot reply (see lib/feedback.js)
+  feedback: {
+    type: { _id: false, rating: { type: String, enum: ['up', 'down'] }, comment: String, createdAt: Date },
+    default: undefined,
+  },
 });
 
+// One turn per Idempotency-Key and session
+MessageSchema.index(
+  { sessionId: 1, clientKey: 1 },
+  { unique: true, partialFilterExpression: { clientKey: { $exists: true } } }
+);
+
+// Feedback reports by date (GET /api/admin/feedback)
+MessageSchema.index({ 'feedback.createdAt': -1 }, { sparse: true });
+
+// Full-text search (see lib/search.js)
+MessageSchema.index({ text: 'text' });
+
 export default mongoose.model('Message', MessageSchema);
@@ -0,0 +1,15 @@
+import mongoose from 'mongoose';
+
+// An assistant persona: the system prompt and sampling settings a session uses
+const PersonaSchema = new mongoose.Schema({
+  userId: { type: String, required: true, index: true },
+  name: { type: String, required: true, trim: true, maxlength: 60 },
+  systemPrompt: { type: String, required: true },
+  temperature: { type: Number, default: 0.7, min: 0, max: 2 },
+  maxTokens: { type: Number, default: 150, min: 1, max: 4096 },
+  // Emoji or image URL shown next to the persona's replies
+  avatar: { type: String, maxlength: 500 },
+  createdAt: { type: Date, default: Date.now },
+});
+
+export default mongoose.model('Persona', PersonaSchema);
@@ -0,0 +1,13 @@
+import mongoose from 'mongoose';
+
+// One row per logged-in device. Only a hash of the token is stored;
+// expired rows are removed by MongoDB's TTL monitor. A used token keeps its
+// row, marked `rotatedAt`, for a short grace period (see lib/auth.js).
+const RefreshTokenSchema = new mongoose.Schema({
+  userId: { type: String, required: true, index: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true, index: { expires: 0 } },
+  rotatedAt: { type: Date, default: null },
+});
+
+export default mongoose.model('RefreshToken', RefreshTokenSchema);
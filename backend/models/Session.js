@@ -3,7 +3,29 @@ import mongoose from 'mongoose';
 const SessionSchema = new mongoose.Schema({
   userId: { type: String, required: true, index: true },
   title: { type: String, default: 'New Chat' },
+  // Where the title came from; only 'default' titles get generated ones (lib/titles.js)
+  titleSource: { type: String, enum: ['default', 'auto', 'user'], default: 'default' },
   createdAt: { type: Date, default: Date.now },
+  // Maintained by the `timestamps` option; bumped by every turn, rename, etc.
+  updatedAt: { type: Date },
+  // LLM provider id and model (see providers/index.js); unset means the server defaults
+  provider: { type: String },
+  model: { type: String },
+  // Persona the assistant talks as; unset means the built-in default (lib/personas.js)
+  personaId: { type: mongoose.Types.ObjectId, ref: 'Persona' },
+  // Rolling summary of turns that no longer fit in the prompt (see lib/history.js)
+  summary: { type: String },
+  summaryThroughId: { type: mongoose.Types.ObjectId },
+  // Last message of the branch being shown and continued (see lib/branches.js)
+  currentLeafId: { type: mongoose.Types.ObjectId },
+}, {
+  timestamps: { createdAt: false, updatedAt: true },
 });
 
+// Listing a user's sessions by activity (GET /api/sessions)
+SessionSchema.index({ userId: 1, updatedAt: -1, _id: -1 });
+
+// Full-text search (see lib/search.js)
+SessionSchema.index({ title: 'text' });
+
 export default mongoose.model('Session', SessionSchema);
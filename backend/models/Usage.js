@@ -0,0 +1,16 @@
+import mongoose from 'mongoose';
+
+// Model-proxy consumption of one user in one time window (see lib/quotas.js).
+// Rows are removed by MongoDB's TTL monitor once their window is over.
+const UsageSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  window: { type: String, enum: ['minute', 'day'], required: true },
+  start: { type: Date, required: true },
+  requests: { type: Number, default: 0 },
+  tokens: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true, index: { expires: 0 } },
+});
+
+UsageSchema.index({ userId: 1, window: 1, start: 1 }, { unique: true });
+
+export default mongoose.model('Usage', UsageSchema);
@@ -1,8 +1,19 @@
 import mongoose from 'mongoose';
+import crypto from 'crypto';
 
 const UserSchema = new mongoose.Schema({
-  userId: { type: String, unique: true, required: true },
-  // you can add e.g. name, email here later
+  // Stable public id; sessions reference users by it
+  userId: { type: String, unique: true, required: true, default: () => crypto.randomUUID() },
+  email: { type: String, unique: true, sparse: true, lowercase: true, trim: true },
+  passwordHash: { type: String },
+  createdAt: { type: Date, default: Date.now },
+}, {
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.passwordHash;
+      return ret;
+    },
+  },
 });
 
 export default mongoose.model('User', UserSchema);
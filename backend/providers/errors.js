@@ -0,0 +1,14 @@
+/**
+ * Error raised by a provider with a message that is safe to show to clients,
+ * the HTTP status the route should answer with and its code (lib/errors.js).
+ * Rejected API keys are 502 `provider_auth`, not 401: the client's own login
+ * is fine, and a 401 would make it refresh its token and try again.
+ */
+export class ProviderError extends Error {
+  constructor(message, { status = 502, code = status === 503 ? 'provider_not_configured' : 'provider_error', cause } = {}) {
+    super(message, { cause });
+    this.name = 'ProviderError';
+    this.status = status;
+    this.code = code;
+  }
+}
@@ -0,0 +1,79 @@
+import fetch from 'node-fetch';
+import { ProviderError } from './errors.js';
+import { sseData } from './sse.js';
+
+const { GEMINI_KEY, GEMINI_MODEL = 'gemini-1.5-flash' } = process.env;
+
+const BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+// Chat messages → Gemini request: system messages become the system
+// instruction and assistant turns use the 'model' role.
+const toRequest = ({ messages, temperature, maxTokens }) => {
+  const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+  return {
+    ...(system && { systemInstruction: { parts: [{ text: system }] } }),
+    contents: messages
+      .filter(m => m.role !== 'system')
+      .map(m => ({ role: m.role === 'assistant' ? 'model' : 'user', parts: [{ text: m.content }] })),
+    generationConfig: { temperature, maxOutputTokens: maxTokens },
+  };
+};
+
+const toUsage = meta => meta && {
+  promptTokens: meta.promptTokenCount,
+  completionTokens: meta.candidatesTokenCount,
+  totalTokens: meta.totalTokenCount,
+};
+
+const textOf = data => data.candidates?.[0]?.content?.parts?.map(p => p.text).join('') || '';
+
+const notConfigured = () =>
+  new ProviderError('Gemini is not configured. Set GEMINI_KEY in your .env file.', { status: 503 });
+
+const request = async (method, opts) => {
+  if (!GEMINI_KEY) throw notConfigured();
+  const res = await fetch(`${BASE_URL}/${encodeURIComponent(opts.model)}:${method}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-goog-api-key': GEMINI_KEY,
+    },
+    body: JSON.stringify(toRequest(opts)),
+    signal: opts.signal,
+  });
+  if (!res.ok) {
+    const errText = await res.text();
+    console.error('Gemini Error:', errText);
+    if (res.status === 403 || errText.includes('API_KEY_INVALID')) {
+      throw new ProviderError('Invalid Gemini API Key. Please check your .env file.', { status: 502, code: 'provider_auth' });
+    }
+    throw new ProviderError('Gemini request failed');
+  }
+  return res;
+};
+
+export default {
+  label: 'Gemini',
+  defaultModel: GEMINI_MODEL,
+  models: [GEMINI_MODEL, 'gemini-1.5-pro', 'gemini-2.0-flash']
+    .filter((m, i, all) => all.indexOf(m) === i),
+  isConfigured: () => Boolean(GEMINI_KEY),
+
+  async complete(opts) {
+    const data = await (await request('generateContent', opts)).json();
+    return { text: textOf(data), usage: toUsage(data.usageMetadata) };
+  },
+
+  async *stream(opts) {
+    const res = await request('streamGenerateContent?alt=sse', opts);
+    let usage;
+    for await (const data of sseData(res.body)) {
+      const chunk = JSON.parse(data);
+      const text = textOf(chunk);
+      if (text) yield { text };
+      // usageMetadata is cumulative, so only the last one counts
+      if (chunk.usageMetadata) usage = toUsage(chunk.usageMetadata);
+    }
+    if (usage) yield { usage };
+  },
+};
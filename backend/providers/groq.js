@@ -0,0 +1,78 @@
+import { Groq } from 'groq-sdk';
+import { ProviderError } from './errors.js';
+
+const { GROQ_KEY, GROQ_MODEL = 'llama3-8b-8192' } = process.env;
+
+// Created on first use: the SDK throws without a key, and other providers don't need one
+let client;
+const groq = () => (client ??= new Groq({ apiKey: GROQ_KEY }));
+
+const toUsage = usage => usage && {
+  promptTokens: usage.prompt_tokens,
+  completionTokens: usage.completion_tokens,
+  totalTokens: usage.total_tokens,
+};
+
+// Maps SDK errors we can explain onto ProviderError; everything else is rethrown as-is
+const translate = err => {
+  if (err.error && err.error.type === 'invalid_request_error' && err.error.code === 'invalid_api_key') {
+    return new ProviderError('Invalid Groq API Key. Please check your .env file.', { status: 502, code: 'provider_auth', cause: err });
+  }
+  return err;
+};
+
+const notConfigured = () =>
+  new ProviderError('Groq is not configured. Set GROQ_KEY in your .env file.', { status: 503 });
+
+export default {
+  label: 'Groq',
+  defaultModel: GROQ_MODEL,
+  models: [GROQ_MODEL, 'llama3-70b-8192', 'llama-3.1-8b-instant', 'llama-3.3-70b-versatile']
+    .filter((m, i, all) => all.indexOf(m) === i),
+  isConfigured: () => Boolean(GROQ_KEY),
+
+  async complete({ messages, model, temperature, maxTokens, signal }) {
+    if (!GROQ_KEY) throw notConfigured();
+    try {
+      const chatCompletion = await groq().chat.completions.create({
+        messages,
+        model,
+        temperature,
+        max_tokens: maxTokens,
+        stream: false,
+        top_p: 1,
+        stop: null
+      }, { signal });
+      return {
+        text: chatCompletion.choices?.[0]?.message?.content,
+        usage: toUsage(chatCompletion.usage),
+      };
+    } catch (err) {
+      throw translate(err);
+    }
+  },
+
+  async *stream({ messages, model, temperature, maxTokens, signal }) {
+    if (!GROQ_KEY) throw notConfigured();
+    try {
+      const stream = await groq().chat.completions.create({
+        messages,
+        model,
+        temperature,
+        max_tokens: maxTokens,
+        stream: true,
+        top_p: 1,
+        stop: null
+      }, { signal });
+
+      for await (const chunk of stream) {
+        const text = chunk.choices?.[0]?.delta?.content;
+        if (text) yield { text };
+        // Groq reports usage on the last chunk
+        if (chunk.x_groq?.usage) yield { usage: toUsage(chunk.x_groq.usage) };
+      }
+    } catch (err) {
+      throw translate(err);
+    }
+  },
+};
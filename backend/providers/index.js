@@ -0,0 +1,34 @@
+import groq from './groq.js';
+import gemini from './gemini.js';
+import openai from './openai-compatible.js';
+import mock from './mock.js';
+
+export { ProviderError } from './errors.js';
+
+/**
+ * LLM providers behind the chat routes. Each one implements:
+ *   complete({ messages, model, temperature, maxTokens, signal }) → { text, usage }
+ *   stream(sameOptions) → async iterable of { text } chunks and a final { usage }
+ * where `messages` are OpenAI-style { role: 'system'|'user'|'assistant', content }
+ * and `usage` is { promptTokens, completionTokens, totalTokens } when known.
+ * Sessions may only pick one of a provider's `models`, unless it sets
+ * `customModels` (a self-hosted server with models of its own).
+ */
+const PROVIDERS = { groq, gemini, openai, mock };
+
+export const DEFAULT_PROVIDER = PROVIDERS[process.env.LLM_PROVIDER] ? process.env.LLM_PROVIDER : 'groq';
+
+// Returns the provider registered as `id` (the default one when empty), or undefined
+export const getProvider = id => PROVIDERS[id || DEFAULT_PROVIDER];
+
+// Public description of the providers, for the model picker
+export const listProviders = () =>
+  Object.entries(PROVIDERS).map(([id, p]) => ({
+    id,
+    label: p.label,
+    defaultModel: p.defaultModel,
+    models: p.models,
+    customModels: Boolean(p.customModels),
+    configured: p.isConfigured(),
+    isDefault: id === DEFAULT_PROVIDER,
+  }));
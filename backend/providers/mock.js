@@ -0,0 +1,39 @@
+import { estimateTokens } from '../lib/history.js';
+
+// Deterministic offline provider for tests and local development.
+// Replies by echoing the last user message; needs no network or key.
+
+const replyTo = messages => {
+  const last = messages.filter(m => m.role === 'user').pop();
+  return `Mock reply to: ${last ? last.content : ''}`;
+};
+
+const usageFor = (messages, text) => {
+  const promptTokens = messages.reduce((n, m) => n + estimateTokens(m.content), 0);
+  const completionTokens = estimateTokens(text);
+  return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+};
+
+const abortError = () => Object.assign(new Error('The operation was aborted.'), { name: 'AbortError' });
+
+export default {
+  label: 'Mock (offline)',
+  defaultModel: 'mock-echo',
+  models: ['mock-echo'],
+  isConfigured: () => true,
+
+  async complete({ messages, signal }) {
+    if (signal?.aborted) throw abortError();
+    const text = replyTo(messages);
+    return { text, usage: usageFor(messages, text) };
+  },
+
+  async *stream({ messages, signal }) {
+    const text = replyTo(messages);
+    for (const word of text.match(/\S+\s*/g) || []) {
+      if (signal?.aborted) throw abortError();
+      yield { text: word };
+    }
+    yield { usage: usageFor(messages, text) };
+  },
+};
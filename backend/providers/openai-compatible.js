@@ -0,0 +1,77 @@
+import fetch from 'node-fetch';
+import { ProviderError } from './errors.js';
+import { sseData } from './sse.js';
+
+// Any server speaking the OpenAI chat completions API, e.g. a local Ollama
+// (http://localhost:11434/v1) or llama.cpp server.
+const {
+  OPENAI_BASE_URL = 'http://localhost:11434/v1',
+  OPENAI_API_KEY,
+  OPENAI_MODEL = 'llama3',
+} = process.env;
+
+const toUsage = usage => usage && {
+  promptTokens: usage.prompt_tokens,
+  completionTokens: usage.completion_tokens,
+  totalTokens: usage.total_tokens,
+};
+
+const request = async ({ messages, model, temperature, maxTokens, signal }, stream) => {
+  let res;
+  try {
+    res = await fetch(`${OPENAI_BASE_URL.replace(/\/$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(OPENAI_API_KEY && { Authorization: `Bearer ${OPENAI_API_KEY}` }),
+      },
+      body: JSON.stringify({
+        model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        stream,
+        ...(stream && { stream_options: { include_usage: true } }),
+      }),
+      signal,
+    });
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    throw new ProviderError(`Could not reach the model server at ${OPENAI_BASE_URL}.`, { cause: err });
+  }
+  if (!res.ok) {
+    const errText = await res.text();
+    console.error('OpenAI-compatible Error:', errText);
+    if (res.status === 401) {
+      throw new ProviderError('Invalid API key for the OpenAI-compatible server. Please check your .env file.', { status: 502, code: 'provider_auth' });
+    }
+    throw new ProviderError('Model server request failed');
+  }
+  return res;
+};
+
+export default {
+  label: 'OpenAI-compatible',
+  defaultModel: OPENAI_MODEL,
+  models: [OPENAI_MODEL],
+  // Whatever the server has loaded; `models` only lists the default
+  customModels: true,
+  // No key needed for local servers; assume it's there if a URL was set
+  isConfigured: () => Boolean(process.env.OPENAI_BASE_URL || OPENAI_API_KEY),
+
+  async complete(opts) {
+    const data = await (await request(opts, false)).json();
+    return { text: data.choices?.[0]?.message?.content, usage: toUsage(data.usage) };
+  },
+
+  async *stream(opts) {
+    const res = await request(opts, true);
+    for await (const data of sseData(res.body)) {
+      if (data === '[DONE]') break;
+      const chunk = JSON.parse(data);
+      const text = chunk.choices?.[0]?.delta?.content;
+      if (text) yield { text };
+      if (chunk.usage) yield { usage: toUsage(chunk.usage) };
+    }
+  },
+};
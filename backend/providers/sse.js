@@ -0,0 +1,22 @@
+/**
+ * Yields the `data:` payload of each Server-Sent Event in a fetch response body.
+ * @param {AsyncIterable<Uint8Array>} body - node-fetch response body.
+ */
+export async function* sseData(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer = (buffer + decoder.decode(chunk, { stream: true })).replace(/\r\n/g, '\n');
+    let end;
+    while ((end = buffer.indexOf('\n\n')) !== -1) {
+      const data = buffer
+        .slice(0, end)
+        .split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trimStart())
+        .join('\n');
+      buffer = buffer.slice(end + 2);
+      if (data) yield data;
+    }
+  }
+}
@@ -0,0 +1,37 @@
+import fetch from 'node-fetch';
+import { ProviderError } from '../errors.js';
+
+const { DEEPGRAM_KEY, DEEPGRAM_STT_MODEL = 'nova-2' } = process.env;
+
+export default {
+  label: 'Deepgram',
+  isConfigured: () => Boolean(DEEPGRAM_KEY),
+
+  async transcribe({ audio, mimeType, language }) {
+    if (!DEEPGRAM_KEY) {
+      throw new ProviderError('Deepgram is not configured. Set DEEPGRAM_KEY in your .env file.', { status: 503 });
+    }
+    const params = new URLSearchParams({ model: DEEPGRAM_STT_MODEL, smart_format: 'true' });
+    if (language) params.set('language', language);
+    else params.set('detect_language', 'true');
+
+    const res = await fetch(`https://api.deepgram.com/v1/listen?${params}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': mimeType,
+        Authorization: `Token ${DEEPGRAM_KEY}`,
+      },
+      body: audio,
+    });
+    if (!res.ok) {
+      const errText = await res.text();
+      console.error('Deepgram Error:', errText);
+      if (res.status === 401) {
+        throw new ProviderError('Invalid Deepgram API Key. Please check your .env file.', { status: 502, code: 'provider_auth' });
+      }
+      throw new ProviderError('Transcription failed');
+    }
+    const data = await res.json();
+    return { text: data.results?.channels?.[0]?.alternatives?.[0]?.transcript || '' };
+  },
+};
@@ -0,0 +1,16 @@
+import deepgram from './deepgram.js';
+import stub from './stub.js';
+
+/**
+ * Speech-to-text providers behind POST /api/transcribe. Each one implements:
+ *   transcribe({ audio, mimeType, language }) → { text }
+ * where `audio` is a Buffer of recorded audio of type `mimeType` and
+ * `language` an optional BCP-47 code (detected when missing).
+ * Errors are ProviderErrors, like the LLM providers'.
+ */
+const TRANSCRIBERS = { deepgram, stub };
+
+export const DEFAULT_TRANSCRIBER = TRANSCRIBERS[process.env.STT_PROVIDER] ? process.env.STT_PROVIDER : 'deepgram';
+
+// The transcriber selected by STT_PROVIDER
+export const getTranscriber = () => TRANSCRIBERS[DEFAULT_TRANSCRIBER];
@@ -0,0 +1,13 @@
+// Offline transcriber for tests and local development: ignores the audio
+// and returns STT_STUB_TEXT. Needs no network or key.
+
+const { STT_STUB_TEXT = 'What is the difference between an interface and an abstract class?' } = process.env;
+
+export default {
+  label: 'Stub (offline)',
+  isConfigured: () => true,
+
+  async transcribe() {
+    return { text: STT_STUB_TEXT };
+  },
+};
@@ -0,0 +1,18 @@
+// Indexes a folder of Markdown/text files into the knowledge base the chat
+// routes cite from: npm run ingest [-- <folder>] (defaults to KNOWLEDGE_DIR).
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import { ingestFolder, KNOWLEDGE_CONFIG } from '../lib/knowledge.js';
+
+const dir = process.argv[2] || KNOWLEDGE_CONFIG.dir;
+
+await mongoose.connect(process.env.MONGO_URI);
+try {
+  const { files, chunks } = await ingestFolder(dir);
+  console.log(`Indexed ${chunks} passages from ${files} files in ${dir}`);
+} catch (err) {
+  console.error('[Ingest Error]:', err);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
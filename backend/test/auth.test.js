@@ -0,0 +1,56 @@
+// Accounts and refresh tokens: racing signups and refreshes.
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+
+import { startApp, stopApp, signUp } from './helpers.js';
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(stopApp);
+
+const refreshWith = cookie => request(app).post('/api/auth/refresh').set('Cookie', cookie);
+
+describe('signup', () => {
+  it('answers 409 email_taken to every concurrent signup but one', async () => {
+    const signups = await Promise.all([1, 2, 3].map(() => request(app)
+      .post('/api/auth/signup')
+      .send({ email: 'race@example.com', password: 'correct horse battery' })));
+    assert.deepEqual(signups.map(res => res.status).sort(), [201, 409, 409]);
+    for (const res of signups.filter(r => r.status === 409)) {
+      assert.equal(res.body.code, 'email_taken');
+    }
+  });
+
+  it('does not tell unknown emails from wrong passwords', async () => {
+    await signUp('known@example.com');
+    for (const email of ['known@example.com', 'unknown@example.com']) {
+      const res = await request(app).post('/api/auth/login').send({ email, password: 'wrong password' });
+      assert.equal(res.status, 401);
+      assert.equal(res.body.code, 'invalid_credentials');
+    }
+  });
+});
+
+describe('refresh', () => {
+  it('lets concurrent refreshes with the same cookie all succeed', async () => {
+    const { cookie } = await signUp('tabs@example.com');
+    const refreshes = await Promise.all([refreshWith(cookie), refreshWith(cookie)]);
+    for (const res of refreshes) {
+      assert.equal(res.status, 200);
+      assert.ok(res.body.accessToken);
+    }
+  });
+
+  it('rejects unknown tokens and clears their cookie', async () => {
+    const res = await refreshWith('refresh_token=not-a-token');
+    assert.equal(res.status, 401);
+    assert.equal(res.body.code, 'login_expired');
+    assert.match(res.headers['set-cookie'].join(), /refresh_token=;/);
+  });
+});
@@ -0,0 +1,39 @@
+// Branches: showing another version of a reply doesn't change the active one.
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startApp, stopApp, signUp } from './helpers.js';
+
+before(startApp);
+after(stopApp);
+
+describe('branch pages', () => {
+  it('pages the branch through a message without making it active', async () => {
+    const alice = await signUp('branches@example.com');
+    const sid = (await alice.post('/api/sessions', { title: 'Versions' }).expect(200)).body._id;
+    const first = (await alice.post(`/api/sessions/${sid}/chat`, { text: 'Tell me a story' }).expect(201)).body.bot;
+    const second = (await alice.post(`/api/sessions/${sid}/messages/${first._id}/regenerate`).expect(201)).body.bot;
+    const lastId = res => res.body.messages.map(m => m._id).at(-1);
+
+    const shown = await alice.get(`/api/sessions/${sid}/messages?through=${first._id}`).expect(200);
+    assert.equal(lastId(shown), first._id);
+    const active = await alice.get(`/api/sessions/${sid}/messages`).expect(200);
+    assert.equal(lastId(active), second._id);
+
+    await alice.get(`/api/sessions/${sid}/messages?through=nope`).expect(400);
+  });
+});
+
+describe('search', () => {
+  it('treats quotes and minus signs as plain text', async () => {
+    const alice = await signUp('search@example.com');
+    const sid = (await alice.post('/api/sessions', { title: 'Search' }).expect(200)).body._id;
+    await alice.post(`/api/sessions/${sid}/chat`, { text: 'quokka facts please' }).expect(201);
+
+    for (const q of ['-quokka', '"quokka', 'quokka "facts']) {
+      const res = await alice.get(`/api/search?q=${encodeURIComponent(q)}`).expect(200);
+      assert.ok(res.body.some(hit => hit.type === 'message'), q);
+    }
+  });
+});
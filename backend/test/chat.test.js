@@ -0,0 +1,27 @@
+// Chat turns sent more than once with the same Idempotency-Key.
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+
+import { startApp, stopApp, signUp } from './helpers.js';
+
+before(startApp);
+after(stopApp);
+
+describe('Idempotency-Key', () => {
+  it('saves a turn once however many copies arrive together', async () => {
+    const alice = await signUp('retry@example.com');
+    const sid = (await alice.post('/api/sessions', { title: 'Retries' }).expect(200)).body._id;
+    const send = () => alice.post(`/api/sessions/${sid}/chat`, { text: 'Only once' }).set('Idempotency-Key', 'prompt-1');
+
+    const answers = await Promise.all([send(), send(), send()]);
+    for (const res of answers) assert.ok([200, 201].includes(res.status), `answered ${res.status}`);
+    assert.equal(new Set(answers.map(res => res.body.user._id)).size, 1);
+    assert.equal(await mongoose.models.Message.countDocuments({ sessionId: sid, role: 'user' }), 1);
+
+    // ...and later replays too
+    const replay = await send().expect(200);
+    assert.equal(replay.body.user._id, answers[0].body.user._id);
+  });
+});
@@ -0,0 +1,58 @@
+// Shared setup for the integration tests: the app on an in-memory MongoDB
+// (mongodb-memory-server) and users that talk to it.
+
+import mongoose from 'mongoose';
+import request from 'supertest';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+
+// The app reads its settings on import: no quotas, no knowledge base, and
+// the offline mock model, so no test needs a network
+Object.assign(process.env, {
+  JWT_SECRET: 'test-secret',
+  LLM_PROVIDER: 'mock',
+  RATE_LIMIT_PER_MINUTE: '0',
+  RATE_LIMIT_PER_DAY: '0',
+  TOKEN_QUOTA_PER_MINUTE: '0',
+  TOKEN_QUOTA_PER_DAY: '0',
+  KNOWLEDGE_TOP_K: '0',
+});
+
+let mongo, app;
+
+/**
+ * Starts MongoDB, connects and imports the app; resolves to the app.
+ * Call from a top-level before() and stopApp() from after().
+ */
+export async function startApp() {
+  mongo = await MongoMemoryServer.create();
+  await mongoose.connect(mongo.getUri());
+  ({ default: app } = await import('../app.js'));
+  // Unique and text indexes must exist before the tests rely on them
+  await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+  return app;
+}
+
+export async function stopApp() {
+  await mongoose.disconnect();
+  await mongo?.stop();
+}
+
+/**
+ * Signs up a user; resolves to request helpers that send their access token.
+ */
+export async function signUp(email) {
+  const res = await request(app)
+    .post('/api/auth/signup')
+    .send({ email, password: 'correct horse battery' })
+    .expect(201);
+  const auth = req => req.set('Authorization', `Bearer ${res.body.accessToken}`);
+  return {
+    user: res.body.user,
+    cookie: res.headers['set-cookie'],
+    get: path => auth(request(app).get(path)),
+    post: (path, body) => auth(request(app).post(path)).send(body),
+    put: (path, body) => auth(request(app).put(path)).send(body),
+    patch: (path, body) => auth(request(app).patch(path)).send(body),
+    delete: path => auth(request(app).delete(path)),
+  };
+}
@@ -0,0 +1,142 @@
+// Cross-user access: user B tries every :sid/:mid route on user A's session
+// and must be turned away without changing anything of A's.
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import request from 'supertest';
+
+import { startApp, stopApp, signUp } from './helpers.js';
+
+let app;
+let Session, Message, Attachment;
+
+// Everything stored for a session, as plain JSON for comparing
+const snapshot = async sid => JSON.parse(JSON.stringify({
+  session: await Session.findById(sid).lean(),
+  messages: await Message.find({ sessionId: sid }).sort('_id').lean(),
+  attachments: await Attachment.find({ sessionId: sid }).sort('_id').lean(),
+}));
+
+before(async () => {
+  app = await startApp();
+  ({ Session, Message, Attachment } = mongoose.models);
+});
+
+after(stopApp);
+
+describe('session ownership', () => {
+  let alice, bob, sid, userMid, botMid, attachmentId, bobSid, aliceData;
+
+  before(async () => {
+    alice = await signUp('alice@example.com');
+    bob = await signUp('bob@example.com');
+
+    // Alice's session: a titled chat with a rated turn and an attachment
+    sid = (await alice.post('/api/sessions', { title: 'Alice only' }).expect(200)).body._id;
+    await alice.patch(`/api/sessions/${sid}`, { title: 'Alice only' }).expect(200);
+    const upload = await alice.post(`/api/sessions/${sid}/attachments`)
+      .attach('file', Buffer.from('The launch code is zebra-42.'), { filename: 'notes.txt', contentType: 'text/plain' })
+      .expect(201);
+    attachmentId = upload.body._id;
+    const turn = await alice.post(`/api/sessions/${sid}/chat`, {
+      text: 'Remember zebra-42 for me',
+      attachmentIds: [attachmentId],
+    }).expect(201);
+    userMid = turn.body.user._id;
+    botMid = turn.body.bot._id;
+    await alice.put(`/api/sessions/${sid}/messages/${botMid}/feedback`, { rating: 'up' }).expect(200);
+
+    bobSid = (await bob.post('/api/sessions', { title: 'Bob' }).expect(200)).body._id;
+    aliceData = await snapshot(sid);
+  });
+
+  const forbidden = () => [
+    ['GET session', () => bob.get(`/api/sessions/${sid}`)],
+    ['GET messages', () => bob.get(`/api/sessions/${sid}/messages`)],
+    ['POST message', () => bob.post(`/api/sessions/${sid}/messages`, { text: 'injected' })],
+    ['POST chat', () => bob.post(`/api/sessions/${sid}/chat`, { text: 'injected' })],
+    ['POST chat (stream)', () => bob.post(`/api/sessions/${sid}/chat`, { text: 'injected', stream: true })],
+    ['POST /api/groq', () => bob.post('/api/groq', { prompt: 'injected', sessionId: sid })],
+    ['PATCH session', () => bob.patch(`/api/sessions/${sid}`, { title: 'Hijacked' })],
+    ['DELETE session', () => bob.delete(`/api/sessions/${sid}`)],
+    ['GET export', () => bob.get(`/api/sessions/${sid}/export?format=json`)],
+    ['POST attachment', () => bob.post(`/api/sessions/${sid}/attachments`)
+      .attach('file', Buffer.from('injected'), { filename: 'x.txt', contentType: 'text/plain' })],
+    ['PATCH message (edit)', () => bob.patch(`/api/sessions/${sid}/messages/${userMid}`, { text: 'injected' })],
+    ['POST regenerate', () => bob.post(`/api/sessions/${sid}/messages/${botMid}/regenerate`)],
+    ['POST select', () => bob.post(`/api/sessions/${sid}/messages/${botMid}/select`)],
+    ['PUT feedback', () => bob.put(`/api/sessions/${sid}/messages/${botMid}/feedback`, { rating: 'down' })],
+    ['DELETE feedback', () => bob.delete(`/api/sessions/${sid}/messages/${botMid}/feedback`)],
+    ['GET audio', () => bob.get(`/api/sessions/${sid}/messages/${botMid}/audio`)],
+    ['POST avatar', () => bob.post(`/api/sessions/${sid}/messages/${botMid}/avatar`)],
+  ];
+
+  it('denies every route on another user\'s session', async () => {
+    for (const [name, send] of forbidden()) {
+      const res = await send();
+      assert.equal(res.status, 403, `${name} answered ${res.status}`);
+      assert.equal(res.body.code, 'forbidden', name);
+      assert.doesNotMatch(res.text, /zebra-42/, `${name} leaked content`);
+    }
+  });
+
+  it('leaves the other user\'s session, messages, rating and files unchanged', async () => {
+    assert.deepEqual(await snapshot(sid), aliceData);
+  });
+
+  it('does not find another user\'s messages from one\'s own session', async () => {
+    for (const send of [
+      () => bob.get(`/api/sessions/${bobSid}/messages/${botMid}/audio`),
+      () => bob.put(`/api/sessions/${bobSid}/messages/${botMid}/feedback`, { rating: 'down' }),
+      () => bob.post(`/api/sessions/${bobSid}/messages/${botMid}/select`),
+      () => bob.post(`/api/sessions/${bobSid}/messages/${botMid}/regenerate`),
+      () => bob.patch(`/api/sessions/${bobSid}/messages/${userMid}`, { text: 'injected' }),
+    ]) {
+      const res = await send();
+      assert.equal(res.status, 404);
+      assert.equal(res.body.code, 'not_found');
+    }
+    assert.deepEqual(await snapshot(sid), aliceData);
+  });
+
+  it('does not let another user\'s attachment into one\'s own chat', async () => {
+    const res = await bob.post(`/api/sessions/${bobSid}/chat`, { text: 'What is the code?', attachmentIds: [attachmentId] });
+    assert.equal(res.status, 400);
+    assert.doesNotMatch(res.text, /zebra-42/);
+  });
+
+  it('keeps another user\'s sessions out of listings and search', async () => {
+    const list = await bob.get('/api/sessions').expect(200);
+    assert.deepEqual(list.body.sessions.map(s => s._id), [bobSid]);
+    const search = await bob.get('/api/search?q=zebra').expect(200);
+    assert.doesNotMatch(JSON.stringify(search.body), /zebra-42|Alice only/);
+  });
+
+  it('answers 404 for sessions that don\'t exist', async () => {
+    const missing = new mongoose.Types.ObjectId();
+    const res = await bob.get(`/api/sessions/${missing}/messages`);
+    assert.equal(res.status, 404);
+  });
+
+  it('answers 400 for malformed ids', async () => {
+    for (const send of [
+      () => bob.get('/api/sessions/not-an-id'),
+      () => bob.post('/api/sessions/not-an-id/chat', { text: 'hi' }),
+      () => bob.delete('/api/sessions/123'),
+      () => bob.get(`/api/sessions/${bobSid}/messages/not-an-id/audio`),
+      () => bob.put(`/api/sessions/${bobSid}/messages/xyz/feedback`, { rating: 'up' }),
+      () => bob.get(`/api/sessions/${bobSid}/messages?before=xyz`),
+      () => bob.patch('/api/personas/xyz', { name: 'x' }),
+    ]) {
+      const res = await send();
+      assert.equal(res.status, 400, `${res.req.method} ${res.req.path} answered ${res.status}`);
+      assert.equal(res.body.code, 'invalid_request');
+    }
+  });
+
+  it('requires a login', async () => {
+    const res = await request(app).get(`/api/sessions/${sid}/messages`);
+    assert.equal(res.status, 401);
+  });
+});
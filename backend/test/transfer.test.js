@@ -0,0 +1,57 @@
+// Session export and import: a JSON export must import again unchanged.
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+
+import { startApp, stopApp, signUp } from './helpers.js';
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(stopApp);
+
+describe('JSON export and import', () => {
+  it('round-trips a session switched to another provider without a model', async () => {
+    const alice = await signUp('export@example.com');
+    const sid = (await alice.post('/api/sessions', { title: 'Switched' }).expect(200)).body._id;
+    await alice.post(`/api/sessions/${sid}/chat`, { text: 'Hello there' }).expect(201);
+    const switched = await alice.patch(`/api/sessions/${sid}`, { provider: 'mock' }).expect(200);
+    assert.equal(switched.body.model, null);
+
+    const exported = await alice.get(`/api/sessions/${sid}/export?format=json`).expect(200);
+    const data = JSON.parse(exported.text);
+    assert.equal(data.session.provider, 'mock');
+    assert.equal('model' in data.session, false);
+
+    const imported = await alice.post('/api/sessions/import', data).expect(201);
+    assert.equal(imported.body.title, 'Switched');
+    assert.equal(imported.body.provider, 'mock');
+    const messages = await alice.get(`/api/sessions/${imported.body._id}/messages`).expect(200);
+    assert.deepEqual(messages.body.messages.map(m => m.role), ['user', 'bot']);
+    assert.equal(messages.body.messages[0].text, 'Hello there');
+  });
+
+  it('still imports older exports with a null model', async () => {
+    const alice = await signUp('legacy-export@example.com');
+    const res = await alice.post('/api/sessions/import', {
+      format: 'chat-with-gemini/session',
+      version: 1,
+      session: { title: 'Legacy', provider: null, model: null },
+      messages: [{ id: 'a', parentId: null, role: 'user', text: 'Hi' }],
+      currentLeafId: 'a',
+    });
+    assert.equal(res.status, 201);
+  });
+
+  it('does not parse import bodies before authentication', async () => {
+    const res = await request(app)
+      .post('/api/sessions/import')
+      .set('Content-Type', 'application/json')
+      .send(JSON.stringify({ padding: 'x'.repeat(2 * 1024 * 1024) }));
+    assert.equal(res.status, 401);
+  });
+});
@@ -1,300 +1,942 @@
-import React, { useState, useEffect } from'react'
+import React, { useState, useEffect, useLayoutEffect, useRef } from'react'
+import { useMatch, useNavigate } from 'react-router'
 import Sidebar from './components/Sidebar'
 import TypingDots from './components/TypingDots'
-import ReactMarkdown from 'react-markdown' // Import ReactMarkdown
-import remarkGfm from 'remark-gfm' // Import remarkGfm for GitHub Flavored Markdown
+import ModelPicker from './components/ModelPicker'
+import AttachmentChips from './components/AttachmentChips'
+import SourceList from './components/SourceList'
+import FeedbackButtons from './components/FeedbackButtons'
+import FeedbackDashboard from './components/FeedbackDashboard'
+import MicButton from './components/MicButton'
+import VoicePicker from './components/VoicePicker'
+import AvatarPlayer from './components/AvatarPlayer'
+import { useSpeechPlayer } from './speech'
+import { readEvents } from './sse'
+import { startSync, stopSync, onSyncEvent } from './sync'
+import {
+  cachedSessions,
+  cacheMessages,
+  cachedMessages,
+  queuePrompt,
+  outbox,
+  updateQueued,
+  removeQueued,
+  clearOffline
+} from './offline'
+import LoginScreen from './components/LoginScreen'
+import { refresh, logout } from './auth'
+import { api, request, isNetworkError, ApiError } from './api'
+import { describeError } from './errors'
+import { toast, toastError } from './toasts'
+import Toasts from './components/Toasts'
+import Markdown from './components/Markdown'
+import {
+  useStore,
+  getState,
+  upsertSession,
+  touchSession,
+  setPage,
+  setMessages,
+  resetStore
+} from './store'
+
+// Shown while a session has no messages loaded
+const NO_MESSAGES = []
+
+// Persona avatar: an image when it's a URL, otherwise the emoji/text itself
+function PersonaAvatar({ avatar }) {
+  if (!avatar) return null
+  if (/^https?:\/\//.test(avatar)) {
+    return <img src={avatar} alt="" className="inline-block w-5 h-5 rounded-full mr-1 align-text-bottom" />
+  }
+  return <span className="mr-1">{avatar}</span>
+}
 
 export default function App() {
+  // — Auth state: `authChecked` turns true once the refresh cookie has been tried
+  const [user, setUser] = useState(null)
+  const [authChecked, setAuthChecked] = useState(false)
   // — UI state
   const [input, setInput] = useState('')
-  const [chat, setChat] = useState([])
-  const [sessionId, setSessionId] = useState(null)
+  // Files uploaded for the next message, and whether an upload is running
+  const [attachments, setAttachments] = useState([])
+  const [isUploading, setIsUploading] = useState(false)
+  const fileInputRef = useRef(null)
+  // Send voice transcripts right away instead of putting them in the input box
+  const [autoSendVoice, setAutoSendVoice] = useState(() => localStorage.getItem('autoSendVoice') === '1')
+  // The open session comes from the URL (/c/:sessionId), so links, refresh and back/forward keep it
+  const navigate = useNavigate()
+  const sessionId = useMatch('/c/:sessionId')?.params.sessionId ?? null
+  const openSession = (id, options) => navigate(id ? `/c/${id}` : '/', options)
+  // The feedback report (/admin) opens over the chat
+  const showFeedbackReport = Boolean(useMatch('/admin'))
+  // The session and its loaded messages, from the shared store (store.js)
+  const session = useStore(s => s.sessions.find(x => x._id === sessionId))
+  const page = useStore(s => s.pages[sessionId])
+  const chat = page?.messages ?? NO_MESSAGES
+  const hasOlder = page?.hasMore ?? false
+  const setChat = update => setMessages(sessionId, update)
+  // Text-to-speech voices and the one replies are read with
+  const [voices, setVoices] = useState([])
+  const [voice, setVoice] = useState(() => localStorage.getItem('ttsVoice') || '')
+  // The single player for 🔊 Speak; resets when the session changes
+  const speech = useSpeechPlayer(sessionId)
+  // Talking-avatar video of a bot reply: { messageId, status, videoUrl, error }
+  const [avatar, setAvatar] = useState(null)
+  // Message whose avatar job is being polled; changing it stops the polling
+  const avatarRef = useRef(null)
   const [isLoading, setIsLoading] = useState(false)
   const [typingText, setTypingText] = useState('')
-  // State to track sidebar visibility, updated by the Sidebar component
-  const [isSidebarActuallyOpen, setIsSidebarActuallyOpen] = useState(window.innerWidth >= 768);
+  // Providers offered by the backend
+  const [providers, setProviders] = useState([])
+  // Persona of the current session (name, avatar, ...) used to label replies
+  const [persona, setPersona] = useState(null)
+  // Message to scroll to and flash once it's rendered (search hits)
+  const [focusId, setFocusId] = useState(null)
+  // User message being edited in place: { id, text }
+  const [editing, setEditing] = useState(null)
+  // Turn that failed, shown with its reason and a Retry button:
+  // { sessionId, path, method, body, headers, shownChat, error } (see streamTurn)
+  const [failedTurn, setFailedTurn] = useState(null)
+  // AbortController of the reply currently streaming, used by the Stop button
+  const abortRef = useRef(null)
+  // Whether older messages of the branch are being loaded on scroll-up
+  const [loadingOlder, setLoadingOlder] = useState(false)
+  // Chat history box, and its scrollHeight before older messages were prepended
+  const chatBoxRef = useRef(null)
+  const prependedFromRef = useRef(null)
+  // Whether the server is unreachable; cached history is shown and prompts are queued
+  const [offline, setOffline] = useState(!navigator.onLine)
+  // Prompts waiting in the outbox (offline.js), for every session
+  const [queued, setQueued] = useState([])
+  const flushingRef = useRef(false)
+  // Sidebar visibility, toggled by the Sidebar component
+  const sidebarOpen = useStore(s => s.sidebarOpen)
 
 
-  // — Ensure we have a user_id
+  // — Restore the login from the refresh cookie, if any
   useEffect(() => {
-    if (!localStorage.getItem('user_id')) {
-      localStorage.setItem('user_id', 'user-' + Date.now())
-    }
+    refresh()
+      .then(setUser)
+      .finally(() => setAuthChecked(true))
   }, [])
 
-  /**
-   * Helper function for fetching data with exponential backoff for retries.
-   * @param {string} url - The URL to fetch.
-   * @param {object} options - Fetch options (method, headers, body, etc.).
-   * @param {number} retries - Current retry count.
-   */
-  const fetchDataWithBackoff = async (url, options, retries = 0) => {
-    const maxRetries = 3;
-    const initialDelay = 1000; // 1 second initial delay
+  // — Live updates from other devices/tabs while logged in
+  useEffect(() => {
+    if (!user) return
+    startSync()
+    return stopSync
+  }, [user])
 
-    while (retries < maxRetries) {
-      try {
-        const res = await fetch(url, options);
-        if (!res.ok) {
-          // If a "Too Many Requests" error (429) occurs, apply backoff and retry
-          if (res.status === 429) {
-            const delay = initialDelay * Math.pow(2, retries) + Math.random() * 1000; // Exponential backoff with jitter
-            console.warn(`Rate limit hit for ${url}, retrying in ${delay}ms...`);
-            await new Promise(resolve => setTimeout(resolve, delay));
-            retries++;
-            continue; // Skip to the next iteration of the while loop to retry
-          }
-          throw new Error(`HTTP error! status: ${res.status}`);
-        }
-        return res; // Successfully fetched, return the response
-      } catch (error) {
-        console.error(`Failed to fetch ${url} (attempt ${retries + 1}/${maxRetries}):`, error);
-        if (retries === maxRetries - 1) {
-          throw error; // If it's the last retry attempt, re-throw the error
-        }
-        const delay = initialDelay * Math.pow(2, retries) + Math.random() * 1000;
-        await new Promise(resolve => setTimeout(resolve, delay));
-        retries++;
-      }
+  // — Send the outbox whenever the server may be reachable again: on login, when the
+  // browser goes online, when the live-update stream reconnects, and every 20s
+  useEffect(() => {
+    if (!user) return
+    const flush = () => liveRef.current.flushOutbox()
+    const goOffline = () => setOffline(true)
+    flush()
+    window.addEventListener('online', flush)
+    window.addEventListener('offline', goOffline)
+    const stopListening = onSyncEvent(event => event === 'resync' && flush())
+    const timer = setInterval(flush, 20000)
+    return () => {
+      window.removeEventListener('online', flush)
+      window.removeEventListener('offline', goOffline)
+      stopListening()
+      clearInterval(timer)
     }
-    // This line should technically not be reached if maxRetries is > 0 and throws on last retry.
-    // Added for completeness to satisfy strict linters if any.
-    throw new Error("Max retries exceeded for fetch operation.");
-  };
+  }, [user])
+
+  // — handleLogout: drop the login and everything loaded for it
+  const handleLogout = async () => {
+    abortRef.current?.abort()
+    await logout()
+    setUser(null)
+    navigate('/', { replace: true })
+    resetStore()
+    setQueued([])
+    await clearOffline()
+  }
 
-  // 🚀 1. AUTO‑SELECT or CREATE a session on mount
+  // 🚀 1. AUTO‑SELECT or CREATE a session when the URL doesn't name one (nor another page)
   useEffect(() => {
-    const userId = localStorage.getItem('user_id')
-    if (!userId) return
-
-    fetchDataWithBackoff('http://localhost:5000/api/sessions', {
-      headers: { 'X-User-Id': "dummy-user-123" }
-    })
-      .then(res => res.json())
-      .then(sessions => {
+    if (!user || sessionId || showFeedbackReport) return
+    let cancelled = false
+
+    api.get('/api/sessions?limit=1')
+      .catch(async error => {
+        // Offline: open the most recent cached session instead
+        if (!isNetworkError(error)) throw error
+        setOffline(true)
+        const cached = await cachedSessions(user.userId)
+        if (!cached.length) throw error
+        return { sessions: cached }
+      })
+      .then(({ sessions }) => {
+        if (cancelled) return
         if (sessions.length) {
-          setSessionId(sessions[0]._id)
+          navigate(`/c/${sessions[0]._id}`, { replace: true })
         } else {
           // no sessions → create one
-          return fetchDataWithBackoff('http://localhost:5000/api/sessions', {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'X-User-Id': userId
-            },
-            body: JSON.stringify({ title: 'First Chat' })
-          })
-            .then(res => res.json())
-            .then(newSess => setSessionId(newSess._id))
+          return api.post('/api/sessions', { title: 'First Chat' })
+            .then(newSess => {
+              upsertSession(newSess)
+              if (!cancelled) navigate(`/c/${newSess._id}`, { replace: true })
+            })
         }
       })
-      .catch(error => console.error("Error during session auto-selection/creation:", error))
-  }, [])
+      .catch(error => toastError("Couldn't open a chat", error))
+    return () => { cancelled = true }
+  }, [user, sessionId, showFeedbackReport, navigate])
+
+  // — loadMessages: fetch the session's active branch (with sibling ids for the branch switcher),
+  // or the branch of a search hit being shown (the page's `through`, see store.js).
+  // The newest page is cached; when the server can't be reached the cached one is shown,
+  // and with cacheFirst it's shown right away until the server answers.
+  const loadMessages = async (sid, { cacheFirst = false } = {}) => {
+    let answered = false
+    let through = getState().pages[sid]?.through
+    const fetchPage = () => api.get(`/api/sessions/${sid}/messages${through ? `?through=${through}` : ''}`)
+    // Nothing to show yet from this visit: try the offline copy
+    if (cacheFirst && !getState().pages[sid]) {
+      cachedMessages(sid).then(page => {
+        if (page && !answered) setPage(sid, page)
+      })
+    }
+    try {
+      const page = await fetchPage().catch(error => {
+        // The hit's message was deleted meanwhile: show the active branch
+        if (!through || error.status !== 404) throw error
+        through = undefined
+        return fetchPage()
+      })
+      answered = true
+      setPage(sid, through ? { ...page, through } : page)
+      setOffline(false)
+      // The offline copy is of the active branch only
+      if (!through) cacheMessages(sid, page)
+    } catch (error) {
+      answered = true
+      if (!isNetworkError(error)) return toastError("Couldn't load the chat", error)
+      console.error("Error loading chat history:", error)
+      setOffline(true)
+      const page = await cachedMessages(sid)
+      if (page) setPage(sid, page)
+    }
+  }
+
+  // Current values for the live-update and outbox handlers, which outlive renders
+  // (filled in below, once every handler is defined)
+  const liveRef = useRef({})
+
+  // 🔄 Reload the open session when another device adds to it or changes it
+  useEffect(() => onSyncEvent((event, data) => {
+    const { sessionId: open, isLoading: busy, loadMessages: reload } = liveRef.current
+    if (!open || busy) return
+    if (event === 'message.created' && data.sessionId === open) reload(open)
+    else if (event === 'resync') reload(open)
+  }), [])
+
+  // — loadOlder: prepend the page of messages before the oldest one shown
+  const loadOlder = async () => {
+    if (!hasOlder || loadingOlder || !chat[0]?._id) return
+    setLoadingOlder(true)
+    try {
+      const through = page.through ? `&through=${page.through}` : ''
+      const { messages, hasMore } = await api.get(`/api/sessions/${sessionId}/messages?before=${chat[0]._id}${through}`)
+      prependedFromRef.current = chatBoxRef.current.scrollHeight
+      setPage(sessionId, current => ({ messages: [...messages, ...current.messages], hasMore }))
+    } catch (error) {
+      // Another version was selected meanwhile (e.g. on another device): show the new branch
+      if (error.status === 409) return loadMessages(sessionId)
+      toastError("Couldn't load older messages", error)
+    } finally {
+      setLoadingOlder(false)
+    }
+  }
+
+  // Keep the view on the same message after older ones were prepended above it
+  useLayoutEffect(() => {
+    const box = chatBoxRef.current
+    if (prependedFromRef.current === null || !box) return
+    box.scrollTop += box.scrollHeight - prependedFromRef.current
+    prependedFromRef.current = null
+  }, [chat])
 
   // 📥 2. LOAD full history whenever sessionId changes
   useEffect(() => {
-    const userId = localStorage.getItem('user_id')
-    if (!sessionId || !userId) return
-
-    fetchDataWithBackoff(`http://localhost:5000/api/sessions/${sessionId}/messages`, {
-      headers: { 'X-User-Id': userId }
-    })
-      .then(res => res.json())
-      .then(msgs => setChat(msgs))
-      .catch(error => console.error("Error loading chat history:", error))
-  }, [sessionId])
-
-  // — sendPrompt: save user, call Gemini, save & display bot
-  const sendPrompt = async () => {
-    const text = input.trim()
-    const userId = localStorage.getItem('user_id')
-    if (!text || !sessionId || !userId) return
+    setEditing(null)
+    setAttachments([])
+    setFailedTurn(null)
+    closeAvatar()
+    // (a link can name a session before the login is restored)
+    if (!sessionId || !user) return
+
+    loadMessages(sessionId, { cacheFirst: true })
+
+    api.get(`/api/sessions/${sessionId}`)
+      .then(({ persona, ...sess }) => {
+        upsertSession(sess)
+        setPersona(persona)
+      })
+      .catch(error => {
+        console.error("Error loading session:", error)
+        // Deleted or not ours (e.g. an old link): fall back to another session
+        if (error.status === 404) {
+          toast("That chat doesn't exist anymore, so another one was opened.")
+          navigate('/', { replace: true })
+        }
+      })
+  }, [sessionId, user, navigate])
 
+  // 🔎 Scroll to the focused message once it's in the chat, then let the highlight fade
+  useEffect(() => {
+    if (!focusId) return
+    const el = document.getElementById(`msg-${focusId}`)
+    if (!el) return
+    el.scrollIntoView({ behavior: 'smooth', block: 'center' })
+    const timer = setTimeout(() => setFocusId(null), 2000)
+    return () => clearTimeout(timer)
+  }, [focusId, chat])
+
+  // — openSearchHit: open the hit's session, on the branch holding the message. Only this
+  // tab shows that branch; it becomes the active one once the user continues it.
+  const openSearchHit = async ({ sessionId: sid, messageId }) => {
+    try {
+      if (messageId) {
+        const page = await api.get(`/api/sessions/${sid}/messages?through=${messageId}`)
+        setPage(sid, { ...page, through: messageId })
+        setFocusId(messageId)
+      }
+      openSession(sid)
+    } catch (error) {
+      toastError("Couldn't open that search result", error)
+    }
+  }
+
+  // 🧠 3. LOAD the available providers/models once
+  useEffect(() => {
+    if (!user) return
+
+    api.get('/api/providers')
+      .then(setProviders)
+      .catch(error => toastError("Couldn't load the model list", error))
+
+    api.get('/api/voices')
+      .then(({ voices, defaultVoice }) => {
+        setVoices(voices)
+        // Keep a stored choice only while the server still offers it
+        setVoice(current => (voices.some(v => v.id === current) ? current : defaultVoice))
+      })
+      .catch(error => console.error("Error loading voices:", error)) // only the picker is missing
+  }, [user])
+
+  // — changeModel: switch the provider/model used by this session
+  const changeModel = async choice => {
+    try {
+      upsertSession(await api.patch(`/api/sessions/${sessionId}`, choice))
+    } catch (error) {
+      toastError("Couldn't switch the model", error)
+    }
+  }
+
+  // — reloadWhenSaved: a stopped turn is saved by the server once its upstream has closed.
+  // Waits until the active branch no longer ends at `lastId`, then shows it (with ids).
+  // Resolves to whether it did within a few seconds.
+  const reloadWhenSaved = async (sid, lastId) => {
+    for (let attempt = 0; attempt < 10; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 300))
+      try {
+        const page = await api.get(`/api/sessions/${sid}/messages`)
+        if (page.messages.at(-1)?._id === lastId) continue
+        touchSession(sid)
+        setPage(sid, page)
+        cacheMessages(sid, page)
+        return true
+      } catch (error) {
+        console.error("Error reloading a stopped reply:", error)
+        return false
+      }
+    }
+    return false
+  }
+
+  /**
+   * Sends a turn request (new prompt, edit or regenerate) with `stream: true`
+   * and renders the reply as it arrives on top of `shownChat`. `headers` go
+   * along unchanged, also on a retry (e.g. a prompt's Idempotency-Key).
+   * Resolves to true when the server saved the turn, false when it was stopped
+   * before any reply, 'failed' when it failed (kept in failedTurn for a retry),
+   * or 'unreachable' when the request never got to the server (the chat is then
+   * put back as it was; failedTurn is set too).
+   */
+  const streamTurn = async (path, method, body, shownChat, headers) => {
+    const before = chat
+    setFailedTurn(null)
     setIsLoading(true)
+    setTypingText('')
+    setChat(shownChat)
+    // The server continues from the turn's branch, which becomes the active one
+    setPage(sessionId, current => current && { ...current, through: undefined })
+    const controller = new AbortController()
+    abortRef.current = controller
+    let reply = ''
 
     try {
-      // 1️⃣ Save user message
-      await fetchDataWithBackoff(
-        `http://localhost:5000/api/sessions/${sessionId}/messages`,
-        {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'X-User-Id': userId
-          },
-          body: JSON.stringify({ role: 'user', text })
+      // Not retried: the reply is already being shown as it streams
+      const res = await request(path, {
+        method,
+        body: { ...body, stream: true },
+        headers,
+        signal: controller.signal,
+        retries: 0,
+        as: 'response'
+      })
+      setOffline(false)
+
+      await readEvents(res, (event, data) => {
+        if (event === 'delta') {
+          reply += data.text
+          setTypingText(reply)
+        } else if (event === 'title') {
+          // The first exchange named the session
+          upsertSession({ _id: sessionId, title: data.title })
+        } else if (event === 'error') {
+          // Failed after the response started: same shape as any other API error
+          throw new ApiError(data.error, { status: data.status || 500, data })
         }
-      )
-
-      // 2️⃣ Call Gemini
-const groqRes = await fetchDataWithBackoff('http://localhost:5000/api/groq', {
-  method: 'POST',
-  headers: {
-    'Content-Type': 'application/json',
-    'X-User-Id': userId
-  },
-  body: JSON.stringify({ prompt: text })
-});
-
-const groqData = await groqRes.json();
-
-if (!groqRes.ok) {
-  console.error("Groq error:", groqData?.error || groqData);
-  setIsLoading(false);
-  return; // prevent saving invalid response
-}
+      })
+      // Saved: reload the branch so the new messages get their ids and siblings
+      touchSession(sessionId)
+      await loadMessages(sessionId)
+      return true
+    } catch (error) {
+      if (error.name === 'AbortError' && reply) {
+        // Stopped by the user: the server saves the turn with the partial reply. Sending
+        // stays blocked until it's reloaded with its ids; until then the typing bubble shows it.
+        if (!(await reloadWhenSaved(sessionId, before.at(-1)?._id))) {
+          setChat([...shownChat, { role: 'bot', text: reply }])
+        }
+        return true
+      }
+      const failed = { sessionId, path, method, body, headers, shownChat, error }
+      if (isNetworkError(error)) {
+        // The server most likely never got it: nothing to reload
+        setOffline(true)
+        setChat(before)
+        setFailedTurn(failed)
+        return 'unreachable'
+      }
+      // Nothing was saved: go back to what the server has
+      await loadMessages(sessionId)
+      if (error.name === 'AbortError') return false
+      console.error("Error sending prompt or receiving reply:", error);
+      setFailedTurn(failed)
+      return 'failed'
+    } finally {
+      abortRef.current = null
+      setTypingText('')
+      setIsLoading(false)
+    }
+  }
+
+  // — sendPrompt: run one chat turn; the server saves both messages once the reply is done
+  const sendPrompt = async (prompt = input) => {
+    const text = prompt.trim()
+    if (!text || !sessionId || isUploading) return
+
+    // Continuing a search hit's branch: make it the active one, which the server continues
+    if (page?.through && !offline) {
+      try {
+        await api.post(`/api/sessions/${sessionId}/messages/${page.through}/select`)
+      } catch (error) {
+        if (!isNetworkError(error)) return toastError("Couldn't continue this version of the chat", error)
+      }
+    }
 
-const { text: reply } = groqData;
-// proceed with saving reply message
+    const sent = attachments
+    setInput('')
+    setAttachments([])
+    // One key for every attempt at this prompt, the outbox's included: if the
+    // server did get a request whose answer was lost, it won't save the turn twice
+    const id = crypto.randomUUID()
+    // Known to be offline: straight to the outbox
+    const saved = offline ? 'unreachable' : await streamTurn(
+      `/api/sessions/${sessionId}/chat`,
+      'POST',
+      { text, attachmentIds: sent.map(a => a._id) },
+      [...chat, { role: 'user', text, attachments: sent, status: 'sending' }],
+      { 'Idempotency-Key': id }
+    )
+    if (saved === 'unreachable') {
+      try {
+        await queuePrompt({ id, sessionId, text, attachments: sent })
+        // The outbox shows it instead
+        setFailedTurn(null)
+        await refreshOutbox()
+        // Maybe the server is back already
+        flushOutbox()
+        return
+      } catch (error) {
+        toastError("Couldn't keep the message for later", error)
+      }
+    }
+    // Stopped before any reply: give the text and files back so they can be re-sent
+    // (a failed turn keeps them in its Retry card instead)
+    if (saved === false) {
+      setInput(text)
+      setAttachments(sent)
+    }
+  }
 
+  // — retryTurn: send the failed turn again, exactly as before
+  const retryTurn = () => {
+    const { path, method, body, shownChat, headers } = failedTurn
+    streamTurn(path, method, body, shownChat, headers)
+  }
 
-      // 3️⃣ Save bot reply
-      await fetchDataWithBackoff(
-        `http://localhost:5000/api/sessions/${sessionId}/messages`,
-        {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'X-User-Id': userId
-          },
-          body: JSON.stringify({ role: 'bot', text: reply })
-        }
-      )
+  // — editFailedPrompt: put a failed prompt back in the input box to change it
+  const editFailedPrompt = ({ text, attachments: files = [] }) => {
+    setFailedTurn(null)
+    setInput(text)
+    setAttachments(files)
+  }
 
-      // 4️⃣ Typing effect then render both
-      setTypingText('')
-      let idx = 0
-      const interval = setInterval(() => {
-        if (idx < reply.length) {
-          setTypingText(prev => prev + reply[idx])
-          idx++
-        } else {
-          clearInterval(interval)
-          setChat(prev => [
-            ...prev,
-            { role: 'user', text },
-            { role: 'bot', text: reply }
-          ])
-          setTypingText('')
-          setIsLoading(false)
+  // — refreshOutbox: show what's in the outbox
+  const refreshOutbox = async () => setQueued(await outbox())
+
+  // — flushOutbox: send queued prompts in order until the server can't be reached.
+  // Prompts the server turns down are marked failed, with its reason.
+  const flushOutbox = async () => {
+    if (flushingRef.current || liveRef.current.isLoading) return
+    flushingRef.current = true
+    try {
+      for (const entry of await outbox()) {
+        if (entry.status !== 'pending') continue
+        try {
+          // The entry's id lets the server recognise a turn it already saved
+          // when only the answer got lost
+          await api.post(
+            `/api/sessions/${entry.sessionId}/chat`,
+            { text: entry.text, attachmentIds: entry.attachments.map(a => a._id) },
+            { retries: 0, headers: { 'Idempotency-Key': entry.id } }
+          )
+          setOffline(false)
+          await removeQueued(entry.id)
+          touchSession(entry.sessionId)
+          const { sessionId: open, loadMessages: reload } = liveRef.current
+          if (entry.sessionId === open) await reload(open)
+        } catch (error) {
+          if (isNetworkError(error)) {
+            setOffline(true)
+            break
+          }
+          await updateQueued(entry, { status: 'failed', error: error.message })
         }
-      }, 20)
+      }
+    } catch (error) {
+      console.error("Error sending queued prompts:", error)
+    } finally {
+      flushingRef.current = false
+      await refreshOutbox()
+    }
+  }
 
-      setInput('')
+  // — retryQueued / discardQueued: the actions on a queued prompt
+  const retryQueued = async entry => {
+    await updateQueued(entry, { status: 'pending', error: null })
+    await flushOutbox()
+  }
+
+  const discardQueued = async entry => {
+    await removeQueued(entry.id)
+    await refreshOutbox()
+  }
+
+  // — handleTranscript: add voice input to the input box, or send it right away
+  const handleTranscript = text => {
+    const prompt = input.trim() ? `${input.trim()} ${text}` : text
+    if (autoSendVoice && !isLoading) return sendPrompt(prompt)
+    setInput(prompt)
+  }
+
+  // — attachFiles: upload files into the session, to be sent with the next message
+  const attachFiles = async files => {
+    setIsUploading(true)
+    for (const file of files) {
+      try {
+        const body = new FormData()
+        body.append('file', file)
+        const data = await api.post(`/api/sessions/${sessionId}/attachments`, body)
+        setAttachments(current => [...current, data])
+      } catch (error) {
+        toastError(`Couldn't attach ${file.name}`, error)
+      }
+    }
+    setIsUploading(false)
+  }
+
+  // — editMessage: save an edited user message as a new branch and answer it
+  const editMessage = async (index, text) => {
+    setEditing(null)
+    if (!text.trim() || text === chat[index].text) return
+    await streamTurn(
+      `/api/sessions/${sessionId}/messages/${chat[index]._id}`,
+      'PATCH',
+      { text },
+      [...chat.slice(0, index), { role: 'user', text, status: 'sending' }]
+    )
+  }
+
+  // — regenerate: ask for another version of a bot reply
+  const regenerate = async index => {
+    await streamTurn(
+      `/api/sessions/${sessionId}/messages/${chat[index]._id}/regenerate`,
+      'POST',
+      {},
+      chat.slice(0, index)
+    )
+  }
+
+  // — switchBranch: show the previous (-1) or next (+1) version of a message
+  const switchBranch = async (msg, offset) => {
+    const target = msg.siblingIds[msg.siblingIds.indexOf(msg._id) + offset]
+    if (!target) return
+    try {
+      setPage(sessionId, await api.post(`/api/sessions/${sessionId}/messages/${target}/select`))
     } catch (error) {
-      console.error("Error sending prompt or receiving Gemini reply:", error);
-      setIsLoading(false); // Ensure loading state is reset on error
-      // Optionally, add user-facing error message here
+      toastError("Couldn't switch versions", error)
     }
   }
 
-  // — speak via Deepgram TTS
-  const speak = async message => {
-    const userId = localStorage.getItem('user_id')
+  // — stopGenerating: abort the streaming reply (the server aborts upstream too)
+  const stopGenerating = () => abortRef.current?.abort()
+
+  // — speak: play a bot reply with the chosen voice (🔊 again toggles pause)
+  const speak = msg => {
+    if (speech.playing?.messageId !== msg._id) return speech.play(msg._id, voice)
+    if (speech.playing.paused) speech.resume()
+    else speech.pause()
+  }
+
+  // — showAvatar: have the avatar speak a bot reply, polling its job until the video is ready
+  const showAvatar = async msg => {
+    avatarRef.current = msg._id
+    setAvatar({ messageId: msg._id, status: 'pending' })
     try {
-      const res = await fetchDataWithBackoff('http://localhost:5000/api/speak', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-User-Id': userId
-        },
-        body: JSON.stringify({ text: message })
-      })
-      const blob = await res.blob()
-      const url = URL.createObjectURL(blob)
-      new Audio(url).play()
-    } catch (err) {
-      console.error('TTS error:', err)
+      let job = await api.post(`/api/sessions/${sessionId}/messages/${msg._id}/avatar`)
+      while (job.status === 'pending') {
+        await new Promise(resolve => setTimeout(resolve, 2000))
+        if (avatarRef.current !== msg._id) return
+        job = await api.get(`/api/did/${job._id}`)
+      }
+      if (avatarRef.current !== msg._id) return
+      // One thing talks at a time
+      if (job.status === 'done') speech.stop()
+      setAvatar({ messageId: msg._id, ...job })
+    } catch (error) {
+      console.error("Avatar error:", error)
+      if (avatarRef.current === msg._id) setAvatar({ messageId: msg._id, status: 'error', error: describeError(error) })
     }
   }
 
+  const closeAvatar = () => {
+    avatarRef.current = null
+    setAvatar(null)
+  }
+
+  liveRef.current = { sessionId, isLoading, loadMessages, flushOutbox }
+
+  const botName = persona?.name || 'Assistant'
+  // The new or edited prompt of the failed turn, if it had one (regenerations don't)
+  const failedPrompt = failedTurn?.sessionId === sessionId && !failedTurn.shownChat.at(-1)?._id
+    ? failedTurn.shownChat.at(-1)
+    : null
+
+  if (!authChecked) return null
+  if (!user) return <LoginScreen onLogin={setUser} />
+
   return (
 <div className="flex h-screen bg-gray-50">
   {/* Sidebar */}
   <Sidebar
-    onSelectSession={setSessionId}
+    onSelectSession={openSession}
+    onOpenSearchHit={openSearchHit}
     selected={sessionId}
-    onToggleSidebar={setIsSidebarActuallyOpen}
+    user={user}
+    onLogout={handleLogout}
   />
+  <Toasts />
+  {showFeedbackReport && <FeedbackDashboard onClose={() => navigate('/')} />}
 
   {/* Main content area */}
   <div
     className={`flex-1 flex flex-col transition-all duration-300 ease-in-out p-6 md:p-8 bg-black
-      ${isSidebarActuallyOpen ? 'ml-64 md:ml-64' : 'ml-0'}
+      ${sidebarOpen ? 'ml-64 md:ml-64' : 'ml-0'}
     `}
   >
     {/* <p className="font-baloo text-lg">Hello markdown</p> */}
 
+    {offline && (
+      <p className="mb-3 px-4 py-2 rounded-xl bg-amber-100 text-sm text-amber-900">
+        📴 Offline — showing saved history. New messages are kept and sent once the server is reachable.
+      </p>
+    )}
+
     {/* Chat history */}
-    <div className="flex-1 overflow-y-auto space-y-4 pr-2 max-h-[calc(100vh-170px)] font-baloo ">
+    <div
+      ref={chatBoxRef}
+      onScroll={e => e.currentTarget.scrollTop < 80 && loadOlder()}
+      className="flex-1 overflow-y-auto space-y-4 pr-2 max-h-[calc(100vh-170px)] font-baloo "
+    >
+      {loadingOlder && (
+        <p className="text-center text-sm text-gray-500">Loading older messages…</p>
+      )}
       {chat.map((msg, i) => (
         <div
-          key={i}
-          className={`p-4 rounded-2xl shadow-sm ${
+          key={msg._id || i}
+          id={msg._id && `msg-${msg._id}`}
+          className={`p-4 rounded-2xl shadow-sm transition-shadow ${
             msg.role === 'user' ? 'bg-blue-400' : 'bg-green-100'
-          }`}
+          } ${focusId && msg._id === focusId ? 'ring-4 ring-yellow-300' : ''}`}
         >
           <p className="mb-1 text-md font-semibold text-gray-900">
-            {msg.role === 'user' ? 'You' : 'Gemini'}
+            {msg.role === 'user' ? 'You' : <><PersonaAvatar avatar={persona?.avatar} />{botName}</>}
+            {/* Delivery state of prompts: sending until the server saved them */}
+            {msg.role === 'user' && (
+              <span className="ml-2 text-xs font-normal text-gray-800">
+                {msg.status === 'sending' ? '⏳ Sending…' : msg._id && <span title="Sent">✓</span>}
+              </span>
+            )}
           </p>
 
           {msg.role === 'bot' ? (
-<ReactMarkdown
-  components={{
-    p: ({ node, ...props }) => (
-      <p className="my-paragraph" {...props} />
-    ),
-    h1: ({ node, ...props }) => (
-      <h1 className="my-heading" {...props} />
-    ),
-    // Add more tags if needed (e.g. `ul`, `li`, `code`, etc.)
-  }}
->
-  {msg.text}
-  
-</ReactMarkdown>
+            <Markdown>{msg.text}</Markdown>
+          ) : editing?.id === msg._id ? (
+            <div className="space-y-2">
+              <textarea
+                value={editing.text}
+                onChange={e => setEditing({ ...editing, text: e.target.value })}
+                rows={3}
+                className="w-full p-2 rounded-md text-sm text-gray-900 bg-white"
+              />
+              <div className="flex gap-2 text-xs">
+                <button
+                  onClick={() => editMessage(i, editing.text)}
+                  className="px-3 py-1 rounded-md bg-blue-800 text-white hover:bg-blue-700"
+                >
+                  Save & submit
+                </button>
+                <button onClick={() => setEditing(null)} className="px-3 py-1 rounded-md bg-white/70 hover:bg-white">
+                  Cancel
+                </button>
+              </div>
+            </div>
           ) : (
-            <p className="text-sm text-gray-800">{msg.text}</p>
+            <>
+              <AttachmentChips attachments={msg.attachments} />
+              <Markdown>{msg.text}</Markdown>
+            </>
           )}
 
-          {msg.role === 'bot' && (
-            <button
-              className="mt-2 text-xs text-blue-500 hover:underline"
-              onClick={() => speak(msg.text)}
-            >
-              🔊 Speak
-            </button>
+          {msg.role === 'bot' && <SourceList sources={msg.sources} />}
+
+          {/* Actions, only for saved messages and while nothing is generating */}
+          {msg._id && !isLoading && editing?.id !== msg._id && (
+            <div className="mt-2 flex flex-wrap items-center gap-3 text-xs">
+              {msg.siblingIds?.length > 1 && (
+                <span className="flex items-center gap-1 text-gray-700">
+                  <button onClick={() => switchBranch(msg, -1)} className="px-1 hover:text-black" title="Previous version">‹</button>
+                  {msg.siblingIds.indexOf(msg._id) + 1}/{msg.siblingIds.length}
+                  <button onClick={() => switchBranch(msg, 1)} className="px-1 hover:text-black" title="Next version">›</button>
+                </span>
+              )}
+              {msg.role === 'user' ? (
+                <button
+                  className="text-gray-800 hover:underline"
+                  onClick={() => setEditing({ id: msg._id, text: msg.text })}
+                >
+                  ✏️ Edit
+                </button>
+              ) : (
+                <>
+                  <button
+                    className="text-blue-500 hover:underline"
+                    onClick={() => speak(msg)}
+                    disabled={speech.playing?.messageId === msg._id && speech.playing.loading}
+                  >
+                    {speech.playing?.messageId !== msg._id ? '🔊 Speak'
+                      : speech.playing.loading ? '🔊 Loading…'
+                      : speech.playing.paused ? '▶️ Resume'
+                      : '⏸️ Pause'}
+                  </button>
+                  {speech.playing?.messageId === msg._id && (
+                    <button className="text-blue-500 hover:underline" onClick={speech.stop}>
+                      ⏹️ Stop
+                    </button>
+                  )}
+                  <button
+                    className="text-blue-500 hover:underline"
+                    onClick={() => showAvatar(msg)}
+                    disabled={avatar?.messageId === msg._id && avatar.status === 'pending'}
+                  >
+                    🎬 Avatar
+                  </button>
+                  <button
+                    className="text-blue-500 hover:underline"
+                    onClick={() => regenerate(i)}
+                  >
+                    🔁 Regenerate
+                  </button>
+                  <FeedbackButtons sessionId={sessionId} message={msg} />
+                </>
+              )}
+            </div>
+          )}
+        </div>
+      ))}
+
+      {/* The last turn failed: what was sent, why, and a way to send it again */}
+      {failedTurn?.sessionId === sessionId && !isLoading && (
+        <div className="p-4 rounded-2xl shadow-sm bg-blue-400/70 ring-2 ring-red-400">
+          {failedPrompt && (
+            <>
+              <p className="mb-1 text-md font-semibold text-gray-900">You</p>
+              <AttachmentChips attachments={failedPrompt.attachments} />
+              <Markdown>{failedPrompt.text}</Markdown>
+            </>
           )}
+          <p className="mt-2 text-sm text-red-800">
+            ⚠️ {failedPrompt ? 'Failed to send' : "Couldn't generate a reply"}: {describeError(failedTurn.error)}
+          </p>
+          <div className="mt-2 flex items-center gap-3 text-xs">
+            <button className="text-gray-900 hover:underline" onClick={retryTurn}>
+              🔁 Retry
+            </button>
+            {failedPrompt && failedTurn.method === 'POST' && (
+              <button className="text-gray-900 hover:underline" onClick={() => editFailedPrompt(failedPrompt)}>
+                ✏️ Edit
+              </button>
+            )}
+            <button className="text-gray-900 hover:underline" onClick={() => setFailedTurn(null)}>
+              ✕ Dismiss
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Prompts in the outbox, not on the server yet */}
+      {queued.filter(q => q.sessionId === sessionId).map(q => (
+        <div key={q.id} className="p-4 rounded-2xl shadow-sm bg-blue-400/70">
+          <p className="mb-1 text-md font-semibold text-gray-900">You</p>
+          <AttachmentChips attachments={q.attachments} />
+          <Markdown>{q.text}</Markdown>
+          <div className="mt-2 flex items-center gap-3 text-xs">
+            {q.status === 'pending' ? (
+              <span className="text-gray-800">⏳ Waiting to send…</span>
+            ) : (
+              <span className="text-red-800">⚠️ Not sent: {q.error}</span>
+            )}
+            <button className="text-gray-800 hover:underline" onClick={() => retryQueued(q)} disabled={isLoading}>
+              🔁 Retry
+            </button>
+            <button className="text-gray-800 hover:underline" onClick={() => discardQueued(q)}>
+              🗑 Discard
+            </button>
+          </div>
         </div>
       ))}
 
       {isLoading && (
         <div className="p-4 rounded-xl bg-white shadow-sm">
-          <p className="mb-1 text-sm font-semibold text-gray-600">Gemini</p>
-          <p className="text-sm text-gray-800">{typingText}</p>
-          <TypingDots />
+          <p className="mb-1 text-sm font-semibold text-gray-600"><PersonaAvatar avatar={persona?.avatar} />{botName}</p>
+          <Markdown>{typingText}</Markdown>
+          <TypingDots message={`${botName} is typing`} />
         </div>
       )}
     </div>
 
+    <AvatarPlayer avatar={avatar} botName={botName} onClose={closeAvatar} />
+
     {/* Input area */}
-    <div className="mt-6 flex gap-3 items-center">
+    <div className="mt-6">
+      <AttachmentChips
+        attachments={attachments}
+        onRemove={a => setAttachments(current => current.filter(c => c._id !== a._id))}
+      />
+    </div>
+    <div className="flex gap-3 items-center">
+      <ModelPicker
+        providers={providers}
+        provider={session?.provider ?? null}
+        model={session?.model ?? null}
+        onChange={changeModel}
+        disabled={!sessionId || isLoading}
+      />
+      <button
+        onClick={() => fileInputRef.current.click()}
+        disabled={!sessionId || isUploading}
+        className="px-3 py-2 rounded-xl border border-gray-300 bg-white shadow-sm hover:bg-gray-50 disabled:opacity-50"
+        title="Attach a text, code, Markdown or PDF file"
+      >
+        {isUploading ? '…' : '📎'}
+      </button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        multiple
+        accept=".txt,.md,.markdown,.java,.kt,.js,.jsx,.ts,.tsx,.py,.c,.h,.cpp,.cs,.go,.json,.xml,.yml,.yaml,.csv,.sql,.pdf,text/*,application/pdf"
+        className="hidden"
+        onChange={e => {
+          attachFiles([...e.target.files])
+          e.target.value = ''
+        }}
+      />
+      <VoicePicker
+        voices={voices}
+        voice={voice}
+        onChange={v => {
+          setVoice(v)
+          localStorage.setItem('ttsVoice', v)
+        }}
+      />
+      <MicButton onTranscript={handleTranscript} disabled={!sessionId} />
+      <label className="flex items-center gap-1 text-xs text-gray-600" title="Send voice messages without editing them first">
+        <input
+          type="checkbox"
+          checked={autoSendVoice}
+          onChange={e => {
+            setAutoSendVoice(e.target.checked)
+            localStorage.setItem('autoSendVoice', e.target.checked ? '1' : '0')
+          }}
+        />
+        Auto-send
+      </label>
       <input
         type="text"
         value={input}
         onChange={e => setInput(e.target.value)}
-        onKeyDown={e => e.key === 'Enter' && sendPrompt()}
+        onKeyDown={e => e.key === 'Enter' && !isLoading && sendPrompt()}
         disabled={!sessionId}
         className="flex-1 px-4 py-2 border border-gray-300 rounded-xl shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400"
-        placeholder="Ask about computer networks..."
+        placeholder={`Ask ${botName}...`}
       />
-      <button
-        onClick={sendPrompt}
-        disabled={isLoading || !sessionId}
-        className="bg-blue-800 hover:bg-blue-700 text-white px-5 py-2 rounded-xl shadow-md transition"
-      >
-        {isLoading ? 'Sending...' : 'Send'}
-      </button>
+      {isLoading ? (
+        <button
+          onClick={stopGenerating}
+          className="bg-red-700 hover:bg-red-600 text-white px-5 py-2 rounded-xl shadow-md transition"
+        >
+          Stop
+        </button>
+      ) : (
+        <button
+          onClick={() => sendPrompt()}
+          disabled={!sessionId}
+          className="bg-blue-800 hover:bg-blue-700 text-white px-5 py-2 rounded-xl shadow-md transition"
+        >
+          Send
+        </button>
+      )}
     </div>
   </div>
 </div>
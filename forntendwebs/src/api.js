@@ -0,0 +1,134 @@
+// The one way the app talks to the backend: base URL, auth headers, retries
+// with backoff, cancellation and error objects are all handled here.
+
+import { API_URL } from './config'
+import { authFetch } from './auth'
+
+/** Absolute URL of an API path, e.g. apiUrl('/api/sessions'). */
+export const apiUrl = path => `${API_URL}${path}`
+
+/**
+ * What every failed request rejects with (except cancelled ones, which reject
+ * with the usual AbortError).
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message - The server's `error`, or a generic description
+   * @param {object} [details]
+   * @param {number} [details.status] - HTTP status; 0 when the server couldn't be reached
+   * @param {number|null} [details.retryAfter] - Seconds to wait, from a Retry-After header
+   * @param {object} [details.data] - The error response body, when it was JSON
+   * @param {Error} [details.cause] - The underlying fetch error
+   */
+  constructor(message, { status = 0, retryAfter = null, data = {}, cause } = {}) {
+    super(message, { cause })
+    this.name = 'ApiError'
+    this.status = status
+    this.retryAfter = retryAfter
+    this.data = data
+    // The server's stable error code (backend lib/errors.js), or 'network'
+    this.code = data.code || (status === 0 ? 'network' : null)
+  }
+
+  /** True when the server couldn't be reached at all (offline, down, CORS). */
+  get network() {
+    return this.status === 0
+  }
+}
+
+/** A request that never reached the server, as opposed to an error response. */
+export const isNetworkError = error => error instanceof ApiError && error.network
+
+const MAX_RETRIES = 2
+const INITIAL_DELAY = 1000 // 1 second, doubled on every retry
+const MAX_RETRY_AFTER = 60 // seconds; a spent daily quota isn't worth waiting for
+
+// Resent after a network error or gateway hiccup without side effects
+const IDEMPOTENT = ['GET', 'HEAD', 'PUT', 'DELETE']
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const onAbort = () => {
+    clearTimeout(timer)
+    reject(signal.reason)
+  }
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort)
+    resolve()
+  }, ms)
+  signal?.addEventListener('abort', onAbort, { once: true })
+})
+
+const isBody = body =>
+  body instanceof FormData || body instanceof Blob || body instanceof URLSearchParams || typeof body === 'string'
+
+const errorFrom = async res => {
+  const data = await res.json().catch(() => ({}))
+  const retryAfter = Number(res.headers.get('Retry-After')) || null
+  return new ApiError(data.error || `HTTP error! status: ${res.status}`, { status: res.status, retryAfter, data })
+}
+
+/**
+ * Sends a request to the API and resolves to its parsed result.
+ *
+ * Plain objects in `body` are sent as JSON; FormData, Blobs and strings as they are.
+ * 429s are retried after the server's Retry-After (unless that's over a minute away).
+ * Network errors and 502/503/504s are retried too, but only for idempotent methods,
+ * since a POST may have been carried out before its answer got lost.
+ *
+ * @param {string} path - API path, e.g. '/api/sessions'
+ * @param {object} [options]
+ * @param {string} [options.method='GET']
+ * @param {*} [options.body]
+ * @param {object} [options.headers]
+ * @param {AbortSignal} [options.signal] - Cancels the request and any pending retry
+ * @param {number} [options.retries=2] - Retries after the first attempt
+ * @param {'json'|'blob'|'response'} [options.as='json'] - What to resolve to; 'response'
+ *   hands back the (ok) Response, e.g. to read a stream
+ * @returns {Promise<*>} The JSON body (null for 204), a Blob, or the Response
+ * @throws {ApiError}
+ */
+export async function request(path, { method = 'GET', body, headers = {}, signal, retries = MAX_RETRIES, as = 'json' } = {}) {
+  const json = body !== undefined && !isBody(body)
+  const options = {
+    method,
+    signal,
+    headers: json ? { 'Content-Type': 'application/json', ...headers } : headers,
+    body: json ? JSON.stringify(body) : body
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    let error
+    try {
+      const res = await authFetch(apiUrl(path), options)
+      if (res.ok) {
+        if (as === 'response') return res
+        if (as === 'blob') return res.blob()
+        return res.status === 204 ? null : res.json()
+      }
+      error = await errorFrom(res)
+    } catch (err) {
+      if (err.name === 'AbortError') throw err
+      error = new ApiError('Could not reach the server', { cause: err })
+    }
+
+    const retryable = error.status === 429
+      ? (error.retryAfter ?? 0) <= MAX_RETRY_AFTER
+      : IDEMPOTENT.includes(method) && (error.network || [502, 503, 504].includes(error.status))
+    if (!retryable || attempt >= retries) throw error
+
+    const delay = error.retryAfter
+      ? error.retryAfter * 1000
+      : INITIAL_DELAY * Math.pow(2, attempt) + Math.random() * 1000 // Exponential backoff with jitter
+    console.warn(`${method} ${path} failed (${error.message}), retrying in ${Math.round(delay)}ms...`)
+    await sleep(delay, signal)
+  }
+}
+
+/** Shorthands for request(). */
+export const api = {
+  get: (path, options) => request(path, options),
+  post: (path, body, options) => request(path, { ...options, method: 'POST', body }),
+  patch: (path, body, options) => request(path, { ...options, method: 'PATCH', body }),
+  put: (path, body, options) => request(path, { ...options, method: 'PUT', body }),
+  delete: (path, options) => request(path, { ...options, method: 'DELETE' })
+}
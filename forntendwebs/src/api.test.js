@@ -0,0 +1,258 @@
+// Tests for api.js (and the 401 refresh in auth.js) against a small mock
+// backend on a random local port. Retries really wait, so Math.random is
+// pinned to make every backoff exactly one second.
+
+import http from 'node:http'
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest'
+
+// Requests the mock server received: { method, url, headers, body }
+let received = []
+// path → (req, res, body, count) handler; count is how often that path was hit, this one included
+let routes = {}
+
+const server = http.createServer((req, res) => {
+  const chunks = []
+  req.on('data', chunk => chunks.push(chunk))
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString()
+    received.push({ method: req.method, url: req.url, headers: req.headers, body })
+    const route = routes[req.url]
+    if (!route) return send(res, 404, { error: 'No such route' })
+    route(req, res, body, received.filter(r => r.url === req.url).length)
+  })
+})
+
+const send = (res, status, data, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers })
+  res.end(JSON.stringify(data))
+}
+
+// Fails the first `times` hits of a path with `status`, then answers { ok: true }
+const failing = (status, times = 1) => (req, res, body, count) =>
+  count <= times ? send(res, status, { error: `Failed with ${status}` }) : send(res, 200, { ok: true })
+
+const hits = path => received.filter(r => r.url === path).length
+
+const waitFor = async condition => {
+  while (!condition()) await new Promise(resolve => setTimeout(resolve, 10))
+}
+
+let api, request, ApiError, refresh
+
+beforeAll(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  vi.stubEnv('VITE_API_URL', `http://127.0.0.1:${server.address().port}`)
+  ;({ api, request, ApiError } = await import('./api'))
+  ;({ refresh } = await import('./auth'))
+})
+
+afterAll(() => {
+  server.closeAllConnections()
+  server.close()
+  vi.unstubAllEnvs()
+})
+
+beforeEach(() => {
+  received = []
+  routes = {}
+  vi.spyOn(Math, 'random').mockReturnValue(0)
+  vi.spyOn(console, 'warn').mockImplementation(() => {})
+})
+
+afterEach(() => {
+  vi.restoreAllMocks()
+})
+
+describe('bodies', () => {
+  it('sends plain objects as JSON and parses the JSON answer', async () => {
+    routes['/echo'] = (req, res, body) => send(res, 200, { got: JSON.parse(body) })
+
+    await expect(api.post('/echo', { text: 'hi', n: 1 })).resolves.toEqual({ got: { text: 'hi', n: 1 } })
+    expect(received[0].headers['content-type']).toBe('application/json')
+  })
+
+  it('sends FormData as multipart, without a JSON content type', async () => {
+    routes['/upload'] = (req, res) => send(res, 201, { ok: true })
+    const form = new FormData()
+    form.append('file', new Blob(['hello'], { type: 'text/plain' }), 'hello.txt')
+
+    await api.post('/upload', form)
+    expect(received[0].headers['content-type']).toMatch(/^multipart\/form-data; boundary=/)
+    expect(received[0].body).toContain('filename="hello.txt"')
+    expect(received[0].body).toContain('hello')
+  })
+
+  it('resolves to null for 204 and to a Blob with as: blob', async () => {
+    routes['/empty'] = (req, res) => res.writeHead(204).end()
+    routes['/audio'] = (req, res) => res.writeHead(200, { 'Content-Type': 'audio/mpeg' }).end('mp3')
+
+    await expect(api.delete('/empty')).resolves.toBeNull()
+    const blob = await api.get('/audio', { as: 'blob' })
+    expect(blob).toBeInstanceOf(Blob)
+    await expect(blob.text()).resolves.toBe('mp3')
+  })
+})
+
+describe('ApiError', () => {
+  it('carries the status, code, message and body of an error response', async () => {
+    routes['/bad'] = (req, res) => send(res, 400, { error: 'Prompt is required.', code: 'invalid_request' })
+
+    const error = await api.post('/bad', {}).catch(e => e)
+    expect(error).toBeInstanceOf(ApiError)
+    expect(error).toMatchObject({
+      message: 'Prompt is required.',
+      status: 400,
+      code: 'invalid_request',
+      retryAfter: null,
+      network: false,
+      data: { error: 'Prompt is required.', code: 'invalid_request' }
+    })
+  })
+
+  it('has no code when the server sent none', async () => {
+    routes['/plain'] = (req, res) => res.writeHead(500).end('oops')
+
+    const error = await api.get('/plain').catch(e => e)
+    expect(error).toMatchObject({ status: 500, code: null, message: 'HTTP error! status: 500' })
+  })
+
+  it('reads Retry-After into retryAfter', async () => {
+    routes['/limited'] = (req, res) => send(res, 429, { error: 'Slow down', code: 'rate_limited' }, { 'Retry-After': '30' })
+
+    const error = await api.get('/limited', { retries: 0 }).catch(e => e)
+    expect(error).toMatchObject({ status: 429, code: 'rate_limited', retryAfter: 30, network: false })
+  })
+
+  it('has status 0, code network and network set when the server is unreachable', async () => {
+    routes['/drop'] = req => req.socket.destroy()
+
+    const error = await api.post('/drop', {}).catch(e => e)
+    expect(error).toBeInstanceOf(ApiError)
+    expect(error).toMatchObject({ status: 0, code: 'network', network: true, retryAfter: null })
+    expect(error.cause).toBeInstanceOf(Error)
+  })
+})
+
+describe('retries', () => {
+  it('waits for Retry-After on a 429 and tries again', async () => {
+    routes['/limited'] = (req, res, body, count) =>
+      count === 1 ? send(res, 429, { error: 'Slow down' }, { 'Retry-After': '1' }) : send(res, 200, { ok: true })
+
+    const started = Date.now()
+    await expect(api.post('/limited', {})).resolves.toEqual({ ok: true })
+    expect(hits('/limited')).toBe(2)
+    expect(Date.now() - started).toBeGreaterThanOrEqual(1000)
+  })
+
+  it('gives up right away when Retry-After is over a minute', async () => {
+    routes['/quota'] = (req, res) =>
+      send(res, 429, { error: 'Daily quota used up', code: 'quota_exceeded' }, { 'Retry-After': '61' })
+
+    const error = await api.get('/quota').catch(e => e)
+    expect(error).toMatchObject({ status: 429, code: 'quota_exceeded', retryAfter: 61 })
+    expect(hits('/quota')).toBe(1)
+  })
+
+  it.each([
+    ['GET', 502, path => api.get(path)],
+    ['PUT', 503, path => api.put(path, { rating: 'up' })],
+    ['DELETE', 504, path => api.delete(path)]
+  ])('retries a %s after a %i', async (method, status, send) => {
+    routes['/flaky'] = failing(status)
+
+    await expect(send('/flaky')).resolves.toEqual({ ok: true })
+    expect(received.map(r => r.method)).toEqual([method, method])
+  })
+
+  it('retries a GET after a network error', async () => {
+    routes['/drop-once'] = (req, res, body, count) => (count === 1 ? req.socket.destroy() : send(res, 200, { ok: true }))
+
+    await expect(api.get('/drop-once', { retries: 1 })).resolves.toEqual({ ok: true })
+    expect(hits('/drop-once')).toBe(2)
+  })
+
+  it('does not retry a POST after a network error or a 503', async () => {
+    routes['/drop'] = req => req.socket.destroy()
+    routes['/unavailable'] = failing(503)
+
+    await expect(api.post('/drop', { text: 'hi' })).rejects.toMatchObject({ network: true })
+    await expect(api.post('/unavailable', { text: 'hi' })).rejects.toMatchObject({ status: 503 })
+    expect(hits('/drop')).toBe(1)
+    expect(hits('/unavailable')).toBe(1)
+  })
+
+  it('stops after `retries` retries', async () => {
+    routes['/down'] = failing(503, Infinity)
+
+    await expect(api.get('/down', { retries: 1 })).rejects.toMatchObject({ status: 503 })
+    expect(hits('/down')).toBe(2)
+  })
+})
+
+describe('cancellation', () => {
+  it('rejects with an AbortError when the request is aborted', async () => {
+    routes['/slow'] = () => {} // never answers
+    const controller = new AbortController()
+
+    const pending = request('/slow', { signal: controller.signal })
+    await waitFor(() => hits('/slow') === 1)
+    controller.abort()
+    await expect(pending).rejects.toMatchObject({ name: 'AbortError' })
+  })
+
+  it('cancels a pending backoff without trying again', async () => {
+    routes['/down'] = failing(503, Infinity)
+    const controller = new AbortController()
+
+    const started = Date.now()
+    const pending = api.get('/down', { signal: controller.signal })
+    await waitFor(() => hits('/down') === 1)
+    // Let the error response be read, so the retry is waiting in its backoff
+    await new Promise(resolve => setTimeout(resolve, 50))
+    controller.abort()
+    await expect(pending).rejects.toMatchObject({ name: 'AbortError' })
+    expect(Date.now() - started).toBeLessThan(1000)
+    await new Promise(resolve => setTimeout(resolve, 1100))
+    expect(hits('/down')).toBe(1)
+  })
+})
+
+describe('authFetch', () => {
+  it('refreshes the access token once for concurrent 401s and retries each request', async () => {
+    routes['/api/auth/refresh'] = (req, res) =>
+      setTimeout(() => send(res, 200, { user: { userId: 'u1' }, accessToken: 'fresh' }), 50)
+    for (const path of ['/a', '/b', '/c']) {
+      routes[path] = (req, res) =>
+        req.headers.authorization === 'Bearer fresh'
+          ? send(res, 200, { path })
+          : send(res, 401, { error: 'Access token expired.', code: 'token_expired' })
+    }
+
+    await expect(Promise.all([api.get('/a'), api.get('/b'), api.get('/c')]))
+      .resolves.toEqual([{ path: '/a' }, { path: '/b' }, { path: '/c' }])
+    expect(hits('/api/auth/refresh')).toBe(1)
+    expect(received.filter(r => r.url === '/a').map(r => r.headers.authorization)).toEqual([undefined, 'Bearer fresh'])
+  })
+
+  it('shares one refresh between concurrent refresh() calls and 401s', async () => {
+    routes['/api/auth/refresh'] = (req, res) =>
+      setTimeout(() => send(res, 200, { user: { userId: 'u1' }, accessToken: 'fresh' }), 50)
+    routes['/a'] = (req, res) =>
+      req.headers.authorization === 'Bearer fresh' ? send(res, 200, { ok: true }) : send(res, 401, { error: 'Expired' })
+
+    const [first, second, data] = await Promise.all([refresh(), refresh(), api.get('/a')])
+    expect(first).toEqual({ userId: 'u1' })
+    expect(second).toEqual({ userId: 'u1' })
+    expect(data).toEqual({ ok: true })
+    expect(hits('/api/auth/refresh')).toBe(1)
+  })
+
+  it('answers with the 401 when the refresh fails', async () => {
+    routes['/api/auth/refresh'] = (req, res) => send(res, 401, { error: 'Session expired.', code: 'login_expired' })
+    routes['/private'] = (req, res) => send(res, 401, { error: 'Authentication required.', code: 'auth_required' })
+
+    await expect(api.get('/private')).rejects.toMatchObject({ status: 401, code: 'auth_required' })
+    expect(hits('/api/auth/refresh')).toBe(1)
+    expect(hits('/private')).toBe(1)
+  })
+})
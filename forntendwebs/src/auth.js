@@ -0,0 +1,81 @@
+// Client side of the backend's auth: the access token lives in memory only,
+// the refresh token in an httpOnly cookie the browser sends to /api/auth.
+
+import { API_URL } from './config'
+
+const API = `${API_URL}/api/auth`
+
+let accessToken = null
+
+// Identifies this tab to the server, which then doesn't echo our own changes
+// back to us over the live-update stream (see sync.js)
+export const CLIENT_ID = crypto.randomUUID()
+
+const post = async (path, body) => {
+  const res = await fetch(`${API}/${path}`, {
+    method: 'POST',
+    credentials: 'include',
+    headers: { 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body)
+  })
+  const data = res.status === 204 ? null : await res.json().catch(() => ({}))
+  if (!res.ok) throw new Error(data?.error || `HTTP error! status: ${res.status}`)
+  return data
+}
+
+const start = ({ user, accessToken: token }) => {
+  accessToken = token
+  return user
+}
+
+/** Creates an account and logs in; resolves to the user. */
+export const signup = (email, password) => post('signup', { email, password }).then(start)
+
+/** Logs in with email and password; resolves to the user. */
+export const login = (email, password) => post('login', { email, password }).then(start)
+
+// Only one refresh at a time, however many callers need one together: the
+// server rotates the cookie on every refresh, so a second request with the
+// same cookie would race the first
+let refreshing = null
+
+/**
+ * Gets a fresh access token from the refresh cookie.
+ * Resolves to the user, or null when there is no valid login.
+ */
+export const refresh = () => {
+  refreshing ??= post('refresh')
+    .then(start, () => {
+      accessToken = null
+      return null
+    })
+    .finally(() => { refreshing = null })
+  return refreshing
+}
+
+/** Logs out on this device. */
+export const logout = async () => {
+  accessToken = null
+  await post('logout').catch(error => console.error('Logout failed:', error))
+}
+
+/**
+ * fetch() with the bearer token (and this tab's CLIENT_ID) attached. On a 401
+ * it refreshes the access token once and retries the request.
+ * Used by api.js; components call the API through that.
+ */
+export async function authFetch(url, options = {}) {
+  const send = () => fetch(url, {
+    ...options,
+    headers: {
+      ...options.headers,
+      'X-Client-Id': CLIENT_ID,
+      ...(accessToken && { Authorization: `Bearer ${accessToken}` })
+    }
+  })
+
+  const res = await send()
+  if (res.status !== 401) return res
+
+  return (await refresh()) ? send() : res
+}
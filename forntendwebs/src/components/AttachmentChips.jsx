@@ -0,0 +1,34 @@
+import React from 'react'
+
+const formatSize = bytes =>
+  bytes < 1024 ? `${bytes} B`
+    : bytes < 1024 * 1024 ? `${Math.round(bytes / 1024)} KB`
+    : `${(bytes / 1024 / 1024).toFixed(1)} MB`
+
+/**
+ * Files attached to a message (or about to be sent with one).
+ * With onRemove, each chip gets a × button that calls onRemove(attachment).
+ */
+export default function AttachmentChips({ attachments, onRemove }) {
+  if (!attachments?.length) return null
+
+  return (
+    <div className="flex flex-wrap gap-2 mb-2">
+      {attachments.map(a => (
+        <span
+          key={a._id}
+          title={a.name}
+          className="flex items-center gap-1 max-w-[16rem] px-2 py-1 rounded-full bg-white/70 text-xs text-gray-800 shadow-sm"
+        >
+          📎 <span className="truncate">{a.name}</span>
+          {a.size != null && <span className="shrink-0 text-gray-500">{formatSize(a.size)}</span>}
+          {onRemove && (
+            <button onClick={() => onRemove(a)} className="px-1 hover:text-red-600" title="Remove">
+              ×
+            </button>
+          )}
+        </span>
+      ))}
+    </div>
+  )
+}
@@ -0,0 +1,25 @@
+import React from 'react'
+
+/**
+ * Floating player for a D-ID talking-avatar video of a bot reply.
+ * `avatar` is { status, videoUrl, error } as polled from GET /api/did/:jobId.
+ */
+export default function AvatarPlayer({ avatar, botName, onClose }) {
+  if (!avatar) return null
+
+  return (
+    <div className="fixed bottom-24 right-6 z-40 w-80 p-3 rounded-2xl bg-white shadow-xl">
+      <div className="flex justify-between items-center mb-2 text-sm font-semibold text-gray-700">
+        <span>🎬 {botName}</span>
+        <button onClick={onClose} className="px-1 text-gray-500 hover:text-black" title="Close">×</button>
+      </div>
+      {avatar.status === 'done' ? (
+        <video src={avatar.videoUrl} autoPlay controls className="w-full rounded-xl" />
+      ) : avatar.status === 'pending' ? (
+        <p className="text-sm text-gray-500">Generating the avatar video… this can take a minute.</p>
+      ) : (
+        <p className="text-sm text-red-600">{avatar.error || 'The avatar video could not be generated.'}</p>
+      )}
+    </div>
+  )
+}
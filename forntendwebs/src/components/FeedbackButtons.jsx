@@ -0,0 +1,86 @@
+import React, { useState } from 'react'
+import { api } from '../api'
+import { toastError } from '../toasts'
+import { setMessages } from '../store'
+
+/**
+ * 👍/👎 for a saved bot reply, plus an optional comment once it's rated.
+ * Clicking the current rating again takes it back.
+ */
+export default function FeedbackButtons({ sessionId, message }) {
+  const rating = message.feedback?.rating
+  // Comment being written: null while the box is closed
+  const [comment, setComment] = useState(null)
+  const [saving, setSaving] = useState(false)
+
+  const path = `/api/sessions/${sessionId}/messages/${message._id}/feedback`
+  const save = async request => {
+    setSaving(true)
+    try {
+      const { feedback } = await request()
+      setMessages(sessionId, msgs => msgs.map(m => (m._id === message._id ? { ...m, feedback } : m)))
+      return true
+    } catch (error) {
+      toastError("Couldn't save your feedback", error)
+      return false
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const rate = async value => {
+    if (value === rating) {
+      setComment(null)
+      return save(() => api.delete(path))
+    }
+    const saved = await save(() => api.put(path, { rating: value, comment: message.feedback?.comment }))
+    // A first rating offers to say why
+    if (saved && !rating) setComment('')
+  }
+
+  const sendComment = async e => {
+    e.preventDefault()
+    if (await save(() => api.put(path, { rating, comment }))) setComment(null)
+  }
+
+  const button = (value, icon, title) => (
+    <button
+      onClick={() => rate(value)}
+      disabled={saving}
+      title={rating === value ? 'Take back your rating' : title}
+      className={`px-1 rounded ${rating === value ? 'bg-green-300' : 'opacity-60 hover:opacity-100'}`}
+    >
+      {icon}
+    </button>
+  )
+
+  return (
+    <>
+      {button('up', '👍', 'Good answer')}
+      {button('down', '👎', 'Bad answer')}
+      {rating && comment === null && (
+        <button className="text-gray-700 hover:underline" onClick={() => setComment(message.feedback?.comment || '')}>
+          {message.feedback?.comment ? '💬 Edit comment' : '💬 Comment'}
+        </button>
+      )}
+      {rating && comment !== null && (
+        <form onSubmit={sendComment} className="flex items-center gap-2 w-full">
+          <input
+            value={comment}
+            onChange={e => setComment(e.target.value)}
+            maxLength={1000}
+            placeholder={rating === 'down' ? 'What was wrong? (optional)' : 'What was good? (optional)'}
+            className="flex-1 px-2 py-1 rounded-md text-xs text-gray-900 bg-white"
+            autoFocus
+          />
+          <button type="submit" disabled={saving} className="px-2 py-1 rounded-md bg-blue-800 text-white hover:bg-blue-700">
+            Save
+          </button>
+          <button type="button" onClick={() => setComment(null)} className="text-gray-700 hover:underline">
+            Cancel
+          </button>
+        </form>
+      )}
+    </>
+  )
+}
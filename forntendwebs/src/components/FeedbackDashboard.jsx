@@ -0,0 +1,139 @@
+import React, { useEffect, useState } from 'react'
+import { api } from '../api'
+import { describeError } from '../errors'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+// YYYY-MM-DD, as <input type="date"> and GET /api/admin/feedback take it
+const isoDay = date => date.toISOString().slice(0, 10)
+
+const percent = score => (score === null ? '–' : `${Math.round(((score + 1) / 2) * 100)}% 👍`)
+
+// One row per group: its label, counts and share of thumbs up
+function ScoreTable({ title, label, rows }) {
+  return (
+    <div>
+      <h3 className="font-semibold mb-1">{title}</h3>
+      {rows.length ? (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="font-normal">{label}</th>
+              <th className="font-normal text-right">👍</th>
+              <th className="font-normal text-right">👎</th>
+              <th className="font-normal text-right">Score</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.key} className="border-t">
+                <td className="py-1 pr-2">{row.name}</td>
+                <td className="text-right">{row.up}</td>
+                <td className="text-right">{row.down}</td>
+                <td className={`text-right ${row.score < 0 ? 'text-red-700' : ''}`}>{percent(row.score)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <p className="text-sm text-gray-500">No ratings.</p>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Admin report of the 👍/👎 users gave bot replies (GET /api/admin/feedback):
+ * scores by model, persona and day, and the latest thumbs-down answers.
+ */
+export default function FeedbackDashboard({ onClose }) {
+  const [range, setRange] = useState(() => ({
+    from: isoDay(new Date(Date.now() - 29 * DAY_MS)),
+    to: isoDay(new Date())
+  }))
+  const [report, setReport] = useState(null)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    let cancelled = false
+    setError('')
+    api.get(`/api/admin/feedback?from=${range.from}&to=${range.to}`)
+      .then(data => !cancelled && setReport(data))
+      .catch(err => !cancelled && setError(describeError(err)))
+    return () => { cancelled = true }
+  }, [range])
+
+  const dateInput = key => (
+    <input
+      type="date"
+      value={range[key]}
+      onChange={e => e.target.value && setRange({ ...range, [key]: e.target.value })}
+      className="px-2 py-1 border border-gray-300 rounded-md"
+    />
+  )
+
+  return (
+    <div className="fixed inset-0 z-[60] flex items-center justify-center bg-black/50" onClick={onClose}>
+      <div
+        className="w-full max-w-4xl max-h-[90vh] overflow-y-auto p-5 rounded-xl bg-white shadow-lg space-y-5"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="flex items-center gap-3">
+          <h2 className="text-lg font-semibold">Answer feedback</h2>
+          <span className="ml-auto flex items-center gap-2 text-sm">
+            {dateInput('from')} – {dateInput('to')}
+          </span>
+          <button onClick={onClose} className="text-gray-500 hover:text-black" title="Close">✕</button>
+        </div>
+
+        {error && <p className="text-sm text-red-700">{error}</p>}
+        {!report && !error && <p className="text-sm text-gray-500">Loading…</p>}
+
+        {report && (
+          <>
+            <p className="text-sm">
+              {report.totals.total} ratings: {report.totals.up} 👍, {report.totals.down} 👎
+              {' '}({percent(report.totals.score)})
+            </p>
+
+            <div className="grid md:grid-cols-2 gap-5">
+              <ScoreTable
+                title="By model"
+                label="Model"
+                rows={report.byModel.map(m => ({ ...m, key: `${m.provider}/${m.model}`, name: `${m.provider ?? '?'} · ${m.model ?? '?'}` }))}
+              />
+              <ScoreTable
+                title="By persona"
+                label="Persona"
+                rows={report.byPersona.map(p => ({ ...p, key: `${p.personaId}/${p.personaName}`, name: p.personaName ?? '?' }))}
+              />
+            </div>
+
+            <ScoreTable
+              title="By day"
+              label="Day"
+              rows={report.byDay.map(d => ({ ...d, key: d.day, name: d.day }))}
+            />
+
+            <div>
+              <h3 className="font-semibold mb-1">Latest 👎 answers</h3>
+              {!report.worst.length && <p className="text-sm text-gray-500">None in this period.</p>}
+              <ul className="space-y-3">
+                {report.worst.map(w => (
+                  <li key={w.messageId} className="p-3 rounded-md bg-gray-50 text-sm space-y-1">
+                    <p className="text-xs text-gray-500">
+                      {new Date(w.ratedAt).toLocaleString()} · {w.sessionTitle ?? 'Deleted chat'}
+                      {' '}· {w.personaName} · {w.provider} · {w.model}
+                    </p>
+                    {w.prompt && <p><span className="font-semibold">Q:</span> {w.prompt}</p>}
+                    <p className="whitespace-pre-wrap line-clamp-6"><span className="font-semibold">A:</span> {w.reply}</p>
+                    {w.comment && <p className="text-red-800">💬 {w.comment}</p>}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,81 @@
+import React, { useState } from 'react'
+import { login, signup } from '../auth'
+
+/**
+ * Email/password form for logging in or creating an account.
+ * Calls onLogin(user) once the backend accepts the credentials.
+ */
+export default function LoginScreen({ onLogin }) {
+  const [mode, setMode] = useState('login')
+  const [email, setEmail] = useState('')
+  const [password, setPassword] = useState('')
+  const [error, setError] = useState('')
+  const [isBusy, setIsBusy] = useState(false)
+
+  const submit = async e => {
+    e.preventDefault()
+    setError('')
+    setIsBusy(true)
+    try {
+      const user = mode === 'login'
+        ? await login(email, password)
+        : await signup(email, password)
+      onLogin(user)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsBusy(false)
+    }
+  }
+
+  return (
+    <div className="flex h-screen items-center justify-center bg-black font-baloo">
+      <form onSubmit={submit} className="w-full max-w-sm p-6 rounded-2xl bg-gray-50 shadow-md space-y-4">
+        <h1 className="text-xl font-semibold text-gray-900">
+          {mode === 'login' ? 'Log in' : 'Create an account'}
+        </h1>
+
+        <input
+          type="email"
+          value={email}
+          onChange={e => setEmail(e.target.value)}
+          required
+          autoComplete="email"
+          placeholder="Email"
+          className="w-full px-4 py-2 border border-gray-300 rounded-xl shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400"
+        />
+        <input
+          type="password"
+          value={password}
+          onChange={e => setPassword(e.target.value)}
+          required
+          minLength={mode === 'signup' ? 8 : undefined}
+          autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+          placeholder="Password"
+          className="w-full px-4 py-2 border border-gray-300 rounded-xl shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400"
+        />
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
+        <button
+          type="submit"
+          disabled={isBusy}
+          className="w-full bg-blue-800 hover:bg-blue-700 text-white px-5 py-2 rounded-xl shadow-md transition"
+        >
+          {isBusy ? 'Please wait...' : mode === 'login' ? 'Log in' : 'Sign up'}
+        </button>
+
+        <button
+          type="button"
+          onClick={() => {
+            setMode(mode === 'login' ? 'signup' : 'login')
+            setError('')
+          }}
+          className="w-full text-sm text-blue-600 hover:underline"
+        >
+          {mode === 'login' ? "No account yet? Sign up" : 'Already have an account? Log in'}
+        </button>
+      </form>
+    </div>
+  )
+}
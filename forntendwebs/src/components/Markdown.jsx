@@ -0,0 +1,86 @@
+import React, { useState } from 'react'
+import ReactMarkdown from 'react-markdown'
+import remarkGfm from 'remark-gfm'
+import remarkMath from 'remark-math'
+import rehypeKatex from 'rehype-katex'
+import rehypeHighlight from 'rehype-highlight'
+import 'highlight.js/styles/github-dark.css'
+import 'katex/dist/katex.min.css'
+
+// Text content of a syntax tree node: the code as written, without highlighting
+const textOf = node =>
+  node.type === 'text' ? node.value : (node.children || []).map(textOf).join('')
+
+// Fenced code block with its language, line numbers and a copy button
+function CodeBlock({ node, children }) {
+  const [copied, setCopied] = useState(false)
+  const code = node.children.find(child => child.tagName === 'code') || node
+  const text = textOf(code).replace(/\n$/, '')
+  const language = (code.properties?.className || [])
+    .find(c => c.startsWith('language-'))
+    ?.slice('language-'.length)
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(text)
+      setCopied(true)
+      setTimeout(() => setCopied(false), 1500)
+    } catch (error) {
+      console.error('Copy failed:', error)
+    }
+  }
+
+  return (
+    <div className="my-3 rounded-xl overflow-hidden bg-[#0d1117] text-[13px]">
+      <div className="flex justify-between items-center px-3 py-1 bg-black/40 text-xs text-gray-400">
+        <span>{language || 'text'}</span>
+        <button onClick={copy} className="hover:text-white">{copied ? '✓ Copied' : '📋 Copy'}</button>
+      </div>
+      <div className="flex overflow-x-auto font-mono leading-5">
+        <pre aria-hidden="true" className="py-3 pl-3 pr-3 text-right text-gray-500 select-none">
+          {text.split('\n').map((_, i) => i + 1).join('\n')}
+        </pre>
+        <pre className="flex-1 py-3 pr-3 text-gray-100">{children}</pre>
+      </div>
+    </div>
+  )
+}
+
+// Links leave the app in a new tab without handing it a reference to the chat.
+// (react-markdown already drops unsafe URLs such as javascript:, and raw HTML
+// in messages is never rendered.)
+function SafeLink({ href, children }) {
+  const external = /^https?:\/\//i.test(href || '')
+  return (
+    <a
+      href={href}
+      className="text-blue-700 underline break-words"
+      {...(external && { target: '_blank', rel: 'noopener noreferrer nofollow' })}
+    >
+      {children}
+    </a>
+  )
+}
+
+const components = {
+  pre: CodeBlock,
+  a: SafeLink,
+}
+
+/**
+ * Message text rendered as GitHub-flavoured Markdown with highlighted code
+ * blocks and $math$, for user and bot messages alike.
+ */
+export default function Markdown({ children }) {
+  return (
+    <div className="markdown text-sm text-gray-800 break-words">
+      <ReactMarkdown
+        remarkPlugins={[remarkGfm, remarkMath]}
+        rehypePlugins={[rehypeHighlight, rehypeKatex]}
+        components={components}
+      >
+        {children}
+      </ReactMarkdown>
+    </div>
+  )
+}
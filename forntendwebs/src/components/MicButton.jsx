@@ -0,0 +1,68 @@
+import React, { useRef, useState } from 'react'
+import { api } from '../api'
+import { toast, toastError } from '../toasts'
+
+/**
+ * Push-to-talk button: records while held, then sends the audio to
+ * POST /api/transcribe and calls onTranscript(text) with the result.
+ */
+export default function MicButton({ onTranscript, disabled }) {
+  // 'idle' | 'recording' | 'transcribing'
+  const [state, setState] = useState('idle')
+  const recorderRef = useRef(null)
+
+  const start = async () => {
+    if (state !== 'idle' || disabled) return
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: true })
+      const recorder = new MediaRecorder(stream)
+      const chunks = []
+      recorder.ondataavailable = e => chunks.push(e.data)
+      recorder.onstop = () => {
+        stream.getTracks().forEach(track => track.stop())
+        transcribe(new Blob(chunks, { type: recorder.mimeType }))
+      }
+      recorderRef.current = recorder
+      recorder.start()
+      setState('recording')
+    } catch (error) {
+      console.error('Microphone error:', error)
+      toast("Couldn't use the microphone. Check the browser permission.", { kind: 'error' })
+    }
+  }
+
+  const stop = () => {
+    if (recorderRef.current?.state === 'recording') recorderRef.current.stop()
+    recorderRef.current = null
+  }
+
+  const transcribe = async audio => {
+    if (!audio.size) return setState('idle')
+    setState('transcribing')
+    try {
+      const data = await api.post('/api/transcribe', audio, {
+        headers: { 'Content-Type': audio.type.split(';')[0] || 'audio/webm' }
+      })
+      if (data.text) onTranscript(data.text)
+    } catch (error) {
+      toastError("Couldn't transcribe the recording", error)
+    } finally {
+      setState('idle')
+    }
+  }
+
+  return (
+    <button
+      onPointerDown={start}
+      onPointerUp={stop}
+      onPointerLeave={stop}
+      disabled={disabled || state === 'transcribing'}
+      className={`px-3 py-2 rounded-xl border shadow-sm select-none disabled:opacity-50 ${
+        state === 'recording' ? 'bg-red-600 border-red-600 text-white' : 'bg-white border-gray-300 hover:bg-gray-50'
+      }`}
+      title="Hold to talk"
+    >
+      {state === 'transcribing' ? '…' : '🎤'}
+    </button>
+  )
+}
@@ -0,0 +1,34 @@
+import React from 'react'
+
+/**
+ * Dropdown of provider/model pairs for the current session.
+ * Providers the server reports as not configured are listed but disabled.
+ */
+export default function ModelPicker({ providers, provider, model, onChange, disabled }) {
+  // Sessions without a stored provider use the server default
+  const current = providers.find(p => p.id === provider) || providers.find(p => p.isDefault)
+  const value = current ? `${current.id}:${model || current.defaultModel}` : ''
+
+  return (
+    <select
+      value={value}
+      disabled={disabled || !providers.length}
+      onChange={e => {
+        const [id, ...rest] = e.target.value.split(':')
+        onChange({ provider: id, model: rest.join(':') })
+      }}
+      className="px-3 py-2 border border-gray-300 rounded-xl shadow-sm bg-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-400"
+      title="Model for this chat"
+    >
+      {providers.map(p => (
+        <optgroup key={p.id} label={p.configured ? p.label : `${p.label} (not configured)`}>
+          {p.models.map(m => (
+            <option key={m} value={`${p.id}:${m}`} disabled={!p.configured}>
+              {m}
+            </option>
+          ))}
+        </optgroup>
+      ))}
+    </select>
+  )
+}
@@ -0,0 +1,118 @@
+import React, { useState } from 'react'
+import { api } from '../api'
+import { describeError } from '../errors'
+
+const EMPTY = { name: '', systemPrompt: '', temperature: 0.7, maxTokens: 150, avatar: '' }
+
+/**
+ * Modal for creating, editing and deleting personas.
+ * Calls onChange(personas) with the updated list after every save/delete.
+ */
+export default function PersonaManager({ personas, onChange, onClose }) {
+  const [editing, setEditing] = useState(null) // persona being edited, or EMPTY for a new one
+  const [error, setError] = useState('')
+
+  const save = async e => {
+    e.preventDefault()
+    setError('')
+    const isNew = !editing._id
+    try {
+      const body = {
+        ...editing,
+        temperature: Number(editing.temperature),
+        maxTokens: Number(editing.maxTokens)
+      }
+      const data = isNew
+        ? await api.post('/api/personas', body)
+        : await api.patch(`/api/personas/${editing._id}`, body)
+      onChange(isNew ? [...personas, data] : personas.map(p => (p._id === data._id ? data : p)))
+      setEditing(null)
+    } catch (err) {
+      setError(describeError(err))
+    }
+  }
+
+  const remove = async persona => {
+    if (!window.confirm(`Delete persona "${persona.name}"?`)) return
+    try {
+      await api.delete(`/api/personas/${persona._id}`)
+      onChange(personas.filter(p => p._id !== persona._id))
+    } catch (err) {
+      setError(describeError(err))
+    }
+  }
+
+  const field = (key, props = {}) => (
+    <input
+      value={editing[key]}
+      onChange={e => setEditing({ ...editing, [key]: e.target.value })}
+      className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+      {...props}
+    />
+  )
+
+  return (
+    <div className="fixed inset-0 z-[60] flex items-center justify-center bg-black/50" onClick={onClose}>
+      <div className="w-full max-w-md p-5 rounded-xl bg-white shadow-lg" onClick={e => e.stopPropagation()}>
+        <h2 className="text-lg font-semibold mb-3">Personas</h2>
+
+        {editing ? (
+          <form onSubmit={save} className="space-y-2">
+            {field('name', { placeholder: 'Name', required: true, maxLength: 60 })}
+            <textarea
+              value={editing.systemPrompt}
+              onChange={e => setEditing({ ...editing, systemPrompt: e.target.value })}
+              placeholder="System prompt"
+              required
+              rows={5}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+            />
+            <div className="flex gap-2">
+              <label className="flex-1 text-xs text-gray-600">
+                Temperature
+                {field('temperature', { type: 'number', min: 0, max: 2, step: 0.1 })}
+              </label>
+              <label className="flex-1 text-xs text-gray-600">
+                Max tokens
+                {field('maxTokens', { type: 'number', min: 1, max: 4096 })}
+              </label>
+            </div>
+            {field('avatar', { placeholder: 'Avatar (emoji or image URL)' })}
+            {error && <p className="text-sm text-red-600">{error}</p>}
+            <div className="flex justify-end gap-2 pt-2">
+              <button type="button" onClick={() => setEditing(null)} className="px-3 py-1 text-sm rounded-md hover:bg-gray-100">
+                Cancel
+              </button>
+              <button type="submit" className="px-3 py-1 text-sm rounded-md bg-blue-500 text-white hover:bg-blue-600">
+                Save
+              </button>
+            </div>
+          </form>
+        ) : (
+          <>
+            <ul className="max-h-64 overflow-y-auto divide-y">
+              {personas.map(p => (
+                <li key={p._id} className="flex items-center gap-2 py-2 text-sm">
+                  <span className="flex-1 truncate">{p.avatar} {p.name}</span>
+                  <button onClick={() => setEditing(p)} className="text-blue-600 hover:underline">Edit</button>
+                  <button onClick={() => remove(p)} className="text-red-600 hover:underline">Delete</button>
+                </li>
+              ))}
+              {!personas.length && <li className="py-2 text-sm text-gray-500">No personas yet.</li>}
+            </ul>
+            {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+            <div className="flex justify-end gap-2 pt-3">
+              <button onClick={onClose} className="px-3 py-1 text-sm rounded-md hover:bg-gray-100">Close</button>
+              <button
+                onClick={() => setEditing(EMPTY)}
+                className="px-3 py-1 text-sm rounded-md bg-blue-500 text-white hover:bg-blue-600"
+              >
+                + New persona
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,49 @@
+import React from 'react'
+
+// Snippet text with the [start, end) ranges in `highlights` wrapped in <mark>
+function Highlighted({ text, highlights }) {
+  const parts = []
+  let pos = 0
+  highlights.forEach(([start, end], i) => {
+    if (start > pos) parts.push(text.slice(pos, start))
+    parts.push(<mark key={i} className="bg-yellow-200 rounded-sm">{text.slice(start, end)}</mark>)
+    pos = end
+  })
+  parts.push(text.slice(pos))
+  return <>{parts}</>
+}
+
+/**
+ * Search hits from GET /api/search. Calls onOpen(hit) when one is clicked.
+ */
+export default function SearchResults({ results, isSearching, onOpen }) {
+  if (isSearching && !results.length) {
+    return <p className="p-2 text-sm text-gray-500">Searching…</p>
+  }
+  if (!results.length) {
+    return <p className="p-2 text-sm text-gray-500">No matches.</p>
+  }
+
+  return (
+    <ul className="flex-grow overflow-y-auto">
+      {results.map(hit => (
+        <li
+          key={hit.messageId || hit.sessionId}
+          onClick={() => onOpen(hit)}
+          className="p-2 mb-1 rounded-md cursor-pointer text-sm hover:bg-gray-200 transition-colors"
+        >
+          <div className="flex justify-between gap-2 text-xs text-gray-500">
+            <span className="truncate font-semibold">{hit.sessionTitle}</span>
+            <span className="shrink-0">{new Date(hit.date).toLocaleDateString()}</span>
+          </div>
+          <p className="text-gray-800 break-words">
+            {hit.type === 'message' && (
+              <span className="text-gray-500">{hit.role === 'user' ? 'You: ' : 'Bot: '}</span>
+            )}
+            <Highlighted text={hit.snippet} highlights={hit.highlights} />
+          </p>
+        </li>
+      ))}
+    </ul>
+  )
+}
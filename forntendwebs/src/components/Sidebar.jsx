@@ -1,111 +1,217 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
+import { Link } from 'react-router';
+import { api, isNetworkError } from '../api';
+import { toastError } from '../toasts';
+import { onSyncEvent } from '../sync';
+import { cacheSessions, uncacheSession, cachedSessions } from '../offline';
+import {
+  useStore,
+  getState,
+  setSessions,
+  appendSessions,
+  upsertSession,
+  touchSession,
+  removeSession,
+  setSidebarOpen
+} from '../store';
+import PersonaManager from './PersonaManager';
+import SearchResults from './SearchResults';
 
-export default function Sidebar({ onSelectSession, selected }) {
-  const [sessions, setSessions] = useState([]);
-  // State for sidebar visibility: open by default on screens >= 768px, closed otherwise
-  const [isSidebarOpen, setIsSidebarOpen] = useState(window.innerWidth >= 768); 
-  
-  // In a real application, userId management might be handled through a more secure authentication context.
-  const userId = localStorage.getItem('user_id');
+export default function Sidebar({ onSelectSession, onOpenSearchHit, selected, user, onLogout }) {
+  // The session list and sidebar visibility live in the shared store (store.js)
+  const sessions = useStore(s => s.sessions);
+  const nextCursor = useStore(s => s.nextCursor);
+  const loadingMoreRef = useRef(false);
+  const isSidebarOpen = useStore(s => s.sidebarOpen);
+  // Personas offered for new chats; '' picks the built-in default persona
+  const [personas, setPersonas] = useState([]);
+  const [personaId, setPersonaId] = useState('');
+  const [isManagingPersonas, setIsManagingPersonas] = useState(false);
+  // Session being renamed in place: { id, title }
+  const [renaming, setRenaming] = useState(null);
+  // Hidden file input behind the Import button
+  const importInputRef = useRef(null);
+  // Search across all sessions; results replace the session list while a query is typed
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+  // Current values for handlers that outlive renders (sync events, retried fetches)
+  const liveRef = useRef({});
+  liveRef.current = { selected, onSelectSession, user };
 
-  /**
-   * Fetches chat sessions from the API with exponential backoff for retries.
-   */
-  const fetchSessions = async () => {
-    let retries = 0;
-    const maxRetries = 3;
-    const initialDelay = 1000; // 1 second initial delay
-
-    while (retries < maxRetries) {
+  // Run the search 300ms after the user stops typing
+  useEffect(() => {
+    const q = query.trim();
+    if (!q) {
+      setResults([]);
+      return;
+    }
+    setIsSearching(true);
+    // A newer query cancels this one, so stale results never replace fresh ones
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
       try {
-        const res = await fetch('http://localhost:5000/api/sessions', {
-          headers: { 'X-User-Id': userId }
-        });
-
-        if (!res.ok) {
-          // If a "Too Many Requests" error (429) occurs, apply backoff and retry
-          if (res.status === 429) { 
-            const delay = initialDelay * Math.pow(2, retries) + Math.random() * 1000; // Exponential backoff with jitter
-            console.warn(`Rate limit hit while fetching sessions, retrying in ${delay}ms...`);
-            await new Promise(resolve => setTimeout(resolve, delay));
-            retries++;
-            continue; // Skip to the next iteration of the while loop to retry
-          }
-          throw new Error(`HTTP error! status: ${res.status}`);
-        }
-
-        setSessions(await res.json());
-        return; // Successfully fetched, exit the function
+        setResults(await api.get(`/api/search?q=${encodeURIComponent(q)}`, { signal: controller.signal }));
+        setIsSearching(false);
       } catch (error) {
-        console.error(`Failed to fetch sessions (attempt ${retries + 1}/${maxRetries}):`, error);
-        if (retries === maxRetries - 1) {
-          // If it's the last retry attempt, re-throw the error
-          throw error;
-        }
-        const delay = initialDelay * Math.pow(2, retries) + Math.random() * 1000;
-        await new Promise(resolve => setTimeout(resolve, delay));
-        retries++;
+        if (error.name === 'AbortError') return;
+        toastError('Search failed', error);
+        setResults([]);
+        setIsSearching(false);
       }
+    }, 300);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [query]);
+
+  /**
+   * Fetches this user's personas for the new-chat picker.
+   */
+  const fetchPersonas = async () => {
+    try {
+      setPersonas(await api.get('/api/personas'));
+    } catch (error) {
+      toastError("Couldn't load personas", error);
     }
   };
 
   /**
-   * Creates a new chat session via API call with exponential backoff.
+   * Keeps the picker valid when personas are edited or deleted.
    */
-  const createSession = async () => {
-    let retries = 0;
-    const maxRetries = 3;
-    const initialDelay = 1000;
+  const updatePersonas = next => {
+    setPersonas(next);
+    if (personaId && !next.some(p => p._id === personaId)) setPersonaId('');
+  };
 
-    while (retries < maxRetries) {
-      try {
-        const res = await fetch('http://localhost:5000/api/sessions', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'X-User-Id': userId,
-          },
-          body: JSON.stringify({ title: 'Chat ' + new Date().toLocaleTimeString() })
-        });
-
-        if (!res.ok) {
-          if (res.status === 429) {
-            const delay = initialDelay * Math.pow(2, retries) + Math.random() * 1000;
-            console.warn(`Rate limit hit while creating session, retrying in ${delay}ms...`);
-            await new Promise(resolve => setTimeout(resolve, delay));
-            retries++;
-            continue;
-          }
-          throw new Error(`HTTP error! status: ${res.status}`);
-        }
-
-        const sess = await res.json();
-        setSessions([sess, ...sessions]);
-        onSelectSession(sess._id);
-        // On smaller screens, automatically close the sidebar after creating a new session
-        if (window.innerWidth < 768) {
-          setIsSidebarOpen(false);
-        }
-        return; // Success, exit function
-      } catch (error) {
-        console.error(`Failed to create session (attempt ${retries + 1}/${maxRetries}):`, error);
-        if (retries === maxRetries - 1) {
-          throw error;
-        }
-        const delay = initialDelay * Math.pow(2, retries) + Math.random() * 1000;
-        await new Promise(resolve => setTimeout(resolve, delay));
-        retries++;
+  /**
+   * Fetches a page of chat sessions (retried with backoff by the API client).
+   * Without a cursor the list is replaced by the first page; with one the page is appended.
+   * Loaded sessions are cached, and the cached list is shown when the server can't be reached.
+   */
+  const fetchSessions = async (cursor = null) => {
+    try {
+      const page = await api.get(`/api/sessions${cursor ? `?cursor=${encodeURIComponent(cursor)}` : ''}`);
+      if (cursor) appendSessions(page.sessions, page.nextCursor);
+      else setSessions(page.sessions, page.nextCursor);
+      cacheSessions(page.sessions);
+    } catch (error) {
+      if (cursor || !isNetworkError(error)) throw error;
+      // Offline: show the sessions seen last time (no paging without the server)
+      const cached = await cachedSessions(liveRef.current.user.userId);
+      if (!cached.length) throw error;
+      setSessions(cached);
+    }
+  };
+
+  /**
+   * Creates a new chat session and opens it.
+   */
+  const createSession = async () => {
+    try {
+      const sess = await api.post('/api/sessions', {
+        title: 'Chat ' + new Date().toLocaleTimeString(),
+        personaId: personaId || undefined
+      });
+      upsertSession(sess);
+      onSelectSession(sess._id);
+      // On smaller screens, automatically close the sidebar after creating a new session
+      if (window.innerWidth < 768) {
+        setSidebarOpen(false);
       }
+    } catch (error) {
+      toastError("Couldn't create a chat", error);
+    }
+  };
+
+  /**
+   * Saves a new title for a session (PATCH /api/sessions/:sid).
+   */
+  const renameSession = async (id, title) => {
+    setRenaming(null);
+    const current = sessions.find(s => s._id === id);
+    if (!title.trim() || title === current?.title) return;
+    try {
+      const sess = await api.patch(`/api/sessions/${id}`, { title: title.trim() });
+      upsertSession(sess);
+      cacheSessions([sess]);
+    } catch (error) {
+      toastError("Couldn't rename the chat", error);
+    }
+  };
+
+  /**
+   * Deletes a session and its messages; moves the selection if it was open.
+   */
+  const deleteSession = async session => {
+    if (!window.confirm(`Delete "${session.title}" and all its messages?`)) return;
+    try {
+      await api.delete(`/api/sessions/${session._id}`);
+      uncacheSession(session._id);
+      removeSession(session._id);
+      if (selected === session._id) onSelectSession(getState().sessions[0]?._id ?? null);
+    } catch (error) {
+      toastError("Couldn't delete the chat", error);
+    }
+  };
+
+  /**
+   * Downloads the selected session as Markdown, JSON or HTML.
+   */
+  const exportSession = async format => {
+    try {
+      const file = await api.get(`/api/sessions/${selected}/export?format=${format}`, { as: 'blob' });
+      const title = sessions.find(s => s._id === selected)?.title || 'chat';
+      const url = URL.createObjectURL(file);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${title.replace(/[^\w.-]+/g, '_')}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      toastError("Couldn't export the chat", error);
+    }
+  };
+
+  /**
+   * Recreates a session from a JSON export and opens it.
+   */
+  const importSession = async file => {
+    try {
+      const data = await api.post('/api/sessions/import', await file.text(), {
+        headers: { 'Content-Type': 'application/json' }
+      });
+      upsertSession(data);
+      onSelectSession(data._id);
+    } catch (error) {
+      toastError("Couldn't import the chat", error);
+    }
+  };
+
+  /**
+   * Appends the next page of sessions, if any.
+   */
+  const loadMoreSessions = async () => {
+    if (!nextCursor || loadingMoreRef.current) return;
+    loadingMoreRef.current = true;
+    try {
+      await fetchSessions(nextCursor);
+    } catch (error) {
+      toastError("Couldn't load more chats", error);
+    } finally {
+      loadingMoreRef.current = false;
     }
   };
 
   useEffect(() => {
-    fetchSessions();
+    fetchSessions().catch(error => toastError("Couldn't load your chats", error));
+    fetchPersonas();
 
     // Event listener for window resize to adjust sidebar visibility responsively
     const handleResize = () => {
       // Set sidebar open on desktop (>=768px), and closed on mobile (<768px)
-      setIsSidebarOpen(window.innerWidth >= 768);
+      setSidebarOpen(window.innerWidth >= 768);
     };
 
     window.addEventListener('resize', handleResize);
@@ -113,11 +219,27 @@ export default function Sidebar({ onSelectSession, selected }) {
     return () => window.removeEventListener('resize', handleResize);
   }, []); // Empty dependency array means this effect runs once on mount and cleans up on unmount
 
+  // Apply session changes made on other devices/tabs as they happen
+  useEffect(() => onSyncEvent((event, data) => {
+    if (event === 'session.created' || event === 'session.updated') {
+      upsertSession(data.session);
+    } else if (event === 'message.created') {
+      touchSession(data.sessionId);
+    } else if (event === 'session.deleted') {
+      const { selected, onSelectSession } = liveRef.current;
+      uncacheSession(data.sessionId);
+      removeSession(data.sessionId);
+      if (selected === data.sessionId) onSelectSession(getState().sessions[0]?._id ?? null);
+    } else if (event === 'resync') {
+      fetchSessions().catch(error => console.error('Failed to resync sessions:', error));
+    }
+  }), []);
+
   /**
    * Toggles the visibility state of the sidebar.
    */
   const toggleSidebar = () => {
-    setIsSidebarOpen(!isSidebarOpen);
+    setSidebarOpen(!isSidebarOpen);
   };
 
   return (
@@ -130,6 +252,28 @@ export default function Sidebar({ onSelectSession, selected }) {
         `}>
         {/* Inner Sidebar Content */}
         <div className="h-full flex flex-col p-4">
+          <div className="flex gap-2 mb-2">
+            <select
+              value={personaId}
+              onChange={e => setPersonaId(e.target.value)}
+              className="flex-1 min-w-0 p-2 border rounded-md text-sm bg-white"
+              title="Persona for new chats"
+            >
+              <option value="">☕ Java Assistant (default)</option>
+              {personas.map(p => (
+                <option key={p._id} value={p._id}>
+                  {p.avatar && !p.avatar.startsWith('http') ? `${p.avatar} ` : ''}{p.name}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={() => setIsManagingPersonas(true)}
+              className="px-2 border rounded-md text-sm hover:bg-gray-200 transition-colors"
+              title="Manage personas"
+            >
+              ⚙
+            </button>
+          </div>
           <button
             onClick={createSession}
             className="w-full mb-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 transition-colors shadow-sm"
@@ -137,25 +281,144 @@ export default function Sidebar({ onSelectSession, selected }) {
             + New Chat
           </button>
 
-          <ul className="flex-grow overflow-y-auto">
-            {sessions.map(s => (
-              <li
-                key={s._id}
-                onClick={() => {
-                  onSelectSession(s._id);
-                  // On smaller screens, automatically close sidebar after selecting a session
-                  if (window.innerWidth < 768) {
-                    setIsSidebarOpen(false);
-                  }
-                }}
-                className={`p-2 mb-1 rounded-md cursor-pointer text-sm md:text-base 
-                            ${selected === s._id ? 'bg-blue-200 text-blue-800 font-semibold' : 'hover:bg-gray-200'}
-                            transition-colors`}
+          <input
+            type="search"
+            value={query}
+            onChange={e => setQuery(e.target.value)}
+            placeholder="Search chats..."
+            className="w-full mb-3 p-2 border rounded-md text-sm bg-white"
+          />
+
+          {query.trim() ? (
+            <SearchResults
+              results={results}
+              isSearching={isSearching}
+              onOpen={hit => {
+                onOpenSearchHit(hit);
+                if (window.innerWidth < 768) {
+                  setSidebarOpen(false);
+                }
+              }}
+            />
+          ) : (
+            <ul className="flex-grow overflow-y-auto" onScroll={e => {
+              // Lazy-load once the list is scrolled near its end
+              const list = e.currentTarget;
+              if (list.scrollHeight - list.scrollTop - list.clientHeight < 100) loadMoreSessions();
+            }}>
+              {sessions.map(s => (
+                <li
+                  key={s._id}
+                  onClick={() => {
+                    if (renaming?.id === s._id) return;
+                    onSelectSession(s._id);
+                    // On smaller screens, automatically close sidebar after selecting a session
+                    if (window.innerWidth < 768) {
+                      setSidebarOpen(false);
+                    }
+                  }}
+                  className={`group flex items-center gap-1 p-2 mb-1 rounded-md cursor-pointer text-sm md:text-base 
+                              ${selected === s._id ? 'bg-blue-200 text-blue-800 font-semibold' : 'hover:bg-gray-200'}
+                              transition-colors`}
+                >
+                  {renaming?.id === s._id ? (
+                    <input
+                      autoFocus
+                      value={renaming.title}
+                      onChange={e => setRenaming({ ...renaming, title: e.target.value })}
+                      onKeyDown={e => {
+                        // Saving happens on blur, so Enter just leaves the field
+                        if (e.key === 'Enter') e.currentTarget.blur();
+                        if (e.key === 'Escape') setRenaming(null);
+                      }}
+                      onBlur={() => renameSession(s._id, renaming.title)}
+                      className="flex-1 min-w-0 px-1 border rounded text-sm font-normal text-gray-900"
+                    />
+                  ) : (
+                    <>
+                      <span
+                        className="flex-1 truncate"
+                        title={s.title}
+                        onDoubleClick={() => setRenaming({ id: s._id, title: s.title })}
+                      >
+                        {s.title}
+                      </span>
+                      <button
+                        onClick={e => {
+                          e.stopPropagation();
+                          setRenaming({ id: s._id, title: s.title });
+                        }}
+                        className="hidden group-hover:block px-1 text-xs"
+                        title="Rename"
+                      >
+                        ✏️
+                      </button>
+                      <button
+                        onClick={e => {
+                          e.stopPropagation();
+                          deleteSession(s);
+                        }}
+                        className="hidden group-hover:block px-1 text-xs"
+                        title="Delete"
+                      >
+                        🗑
+                      </button>
+                    </>
+                  )}
+                </li>
+              ))}
+              {/* For lists too short to scroll */}
+              {nextCursor && (
+                <li>
+                  <button onClick={loadMoreSessions} className="w-full p-2 text-sm text-gray-400 hover:text-white">
+                    Load more
+                  </button>
+                </li>
+              )}
+            </ul>
+          )}
+
+          <div className="pt-3 mt-3 border-t text-sm text-gray-700">
+            <div className="flex items-center gap-2 mb-3 text-xs">
+              <span>Export:</span>
+              {['md', 'json', 'html'].map(format => (
+                <button
+                  key={format}
+                  onClick={() => exportSession(format)}
+                  disabled={!selected}
+                  className="text-blue-600 hover:underline disabled:text-gray-400"
+                >
+                  {format.toUpperCase()}
+                </button>
+              ))}
+              <button
+                onClick={() => importInputRef.current.click()}
+                className="ml-auto text-blue-600 hover:underline"
               >
-                {s.title}
-              </li>
-            ))}
-          </ul>
+                Import…
+              </button>
+              <input
+                ref={importInputRef}
+                type="file"
+                accept="application/json,.json"
+                className="hidden"
+                onChange={e => {
+                  if (e.target.files[0]) importSession(e.target.files[0]);
+                  e.target.value = '';
+                }}
+              />
+            </div>
+            {user?.isAdmin && (
+              <Link to="/admin" className="block mb-2 text-blue-600 hover:underline">📊 Answer feedback</Link>
+            )}
+            <p className="truncate mb-2" title={user?.email}>{user?.email}</p>
+            <button
+              onClick={onLogout}
+              className="w-full py-2 bg-gray-200 rounded-md hover:bg-gray-300 transition-colors"
+            >
+              Log out
+            </button>
+          </div>
         </div>
       </div>
 
@@ -181,6 +444,14 @@ export default function Sidebar({ onSelectSession, selected }) {
         )}
       </button>
       
+      {isManagingPersonas && (
+        <PersonaManager
+          personas={personas}
+          onChange={updatePersonas}
+          onClose={() => setIsManagingPersonas(false)}
+        />
+      )}
+
       {/* Overlay: Appears only on small screens when sidebar is open, to close it by clicking outside */}
       {isSidebarOpen && window.innerWidth < 768 && (
         <div 
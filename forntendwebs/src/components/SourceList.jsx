@@ -0,0 +1,22 @@
+import React from 'react'
+
+/**
+ * Knowledge base documents a bot reply was given, numbered like the [n]
+ * citations in its text.
+ */
+export default function SourceList({ sources }) {
+  if (!sources?.length) return null
+
+  return (
+    <div className="mt-2 pt-2 border-t border-green-200 text-xs text-gray-700">
+      <p className="font-semibold">Sources</p>
+      <ol className="list-decimal list-inside">
+        {sources.map((s, i) => (
+          <li key={i} title={s.source}>
+            {s.title} <span className="text-gray-500">— {s.source}</span>
+          </li>
+        ))}
+      </ol>
+    </div>
+  )
+}
@@ -0,0 +1,39 @@
+import React, { useEffect, useState } from 'react'
+import { onToast } from '../toasts'
+
+// How long a toast stays up; errors get longer to be read
+const DURATION = { info: 4000, error: 8000 }
+
+/**
+ * Stack of toasts raised with toast()/toastError() (src/toasts.js), newest at
+ * the bottom. Each one closes by itself or with ✕.
+ */
+export default function Toasts() {
+  const [toasts, setToasts] = useState([])
+
+  const dismiss = id => setToasts(current => current.filter(t => t.id !== id))
+
+  useEffect(() => onToast(t => {
+    // The same notice twice in a row (e.g. a retry failing again) shows once
+    setToasts(current => [...current.filter(c => c.text !== t.text), t].slice(-4))
+    setTimeout(() => dismiss(t.id), DURATION[t.kind] ?? DURATION.info)
+  }), [])
+
+  if (!toasts.length) return null
+
+  return (
+    <div className="fixed bottom-4 right-4 z-[60] flex flex-col gap-2 w-80 max-w-[calc(100vw-2rem)]" role="status">
+      {toasts.map(t => (
+        <div
+          key={t.id}
+          className={`flex items-start gap-2 px-4 py-3 rounded-xl shadow-lg text-sm ${
+            t.kind === 'error' ? 'bg-red-600 text-white' : 'bg-gray-800 text-white'
+          }`}
+        >
+          <span className="flex-1">{t.text}</span>
+          <button onClick={() => dismiss(t.id)} className="opacity-80 hover:opacity-100" title="Dismiss">✕</button>
+        </div>
+      ))}
+    </div>
+  )
+}
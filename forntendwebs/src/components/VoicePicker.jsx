@@ -0,0 +1,21 @@
+import React from 'react'
+
+/**
+ * Dropdown of the text-to-speech voices offered by GET /api/voices.
+ */
+export default function VoicePicker({ voices, voice, onChange }) {
+  if (!voices.length) return null
+
+  return (
+    <select
+      value={voice}
+      onChange={e => onChange(e.target.value)}
+      className="px-2 py-2 border border-gray-300 rounded-xl shadow-sm bg-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-400"
+      title="Voice for 🔊 Speak"
+    >
+      {voices.map(v => (
+        <option key={v.id} value={v.id}>{v.label}</option>
+      ))}
+    </select>
+  )
+}
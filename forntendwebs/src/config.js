@@ -0,0 +1,3 @@
+// Where the backend lives. Set VITE_API_URL (e.g. in .env.local) to point the
+// app at another server; it defaults to the local dev backend.
+export const API_URL = (import.meta.env.VITE_API_URL || 'http://localhost:5000').replace(/\/+$/, '')
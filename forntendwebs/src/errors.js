@@ -0,0 +1,36 @@
+// Friendly wording for API errors, keyed by the backend's stable error codes
+// (backend/lib/errors.js). Codes not listed here show the server's message,
+// which is already written for people (e.g. "Attachments can be at most 10 MB.").
+
+const MESSAGES = {
+  network: "Can't reach the server. Check your connection and try again.",
+  auth_required: 'Please log in again.',
+  token_expired: 'Your login has expired. Please log in again.',
+  invalid_token: 'Your login is no longer valid. Please log in again.',
+  login_expired: 'Your login has expired. Please log in again.',
+  forbidden: "You don't have access to that.",
+  not_found: 'That chat or message no longer exists.',
+  rate_limited: "You're sending requests too quickly.",
+  quota_exceeded: "You've used up your token allowance for now.",
+  provider_auth: "The AI service rejected the server's API key. Ask the administrator to check it.",
+  provider_not_configured: "That AI service isn't set up on the server. Pick another model in the picker.",
+  provider_error: 'The AI service had a problem answering. Try again in a moment.',
+  empty_reply: 'The model sent back an empty reply. Try again.',
+  server_error: 'Something went wrong on the server. Try again in a moment.'
+}
+
+// "in 30 seconds", "in 5 minutes", "in 3 hours"
+const waitText = seconds => {
+  if (seconds < 90) return `in ${seconds} seconds`
+  if (seconds < 90 * 60) return `in ${Math.round(seconds / 60)} minutes`
+  return `in ${Math.round(seconds / 3600)} hours`
+}
+
+/**
+ * Text to show the user for an error from api.js (or any other Error).
+ * Rate limits say when to try again.
+ */
+export function describeError(error) {
+  const text = MESSAGES[error?.code] || error?.message || MESSAGES.server_error
+  return error?.retryAfter ? `${text} Try again ${waitText(error.retryAfter)}.` : text
+}
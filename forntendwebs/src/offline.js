@@ -0,0 +1,93 @@
+// Offline copy of what the app has loaded, in IndexedDB: the session list,
+// the newest page of each session's messages, and the outbox of prompts
+// typed while the server couldn't be reached (replayed by App.jsx).
+
+const DB_NAME = 'chat-with-gemini'
+const DB_VERSION = 1
+
+let dbPromise = null
+
+const openDb = () => {
+  dbPromise ??= new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+    request.onupgradeneeded = () => {
+      const db = request.result
+      db.createObjectStore('sessions', { keyPath: '_id' }).createIndex('userId', 'userId')
+      db.createObjectStore('messages', { keyPath: 'sessionId' })
+      db.createObjectStore('outbox', { keyPath: 'id' }).createIndex('sessionId', 'sessionId')
+    }
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+  return dbPromise
+}
+
+// Runs fn(store) in a transaction and resolves to the result of the request it returns
+const withStore = async (name, mode, fn) => {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(name, mode)
+    const request = fn(tx.objectStore(name))
+    tx.oncomplete = () => resolve(request?.result)
+    tx.onerror = () => reject(tx.error)
+  })
+}
+
+// The cache only helps; failing to use it (private mode, quota) must not break the app
+const quietly = promise => promise.catch(error => {
+  console.warn('Offline cache unavailable:', error)
+  return undefined
+})
+
+// — Sessions and messages
+
+/** Stores sessions as loaded from the server (they replace older copies). */
+export const cacheSessions = sessions =>
+  quietly(withStore('sessions', 'readwrite', store => {
+    sessions.forEach(session => store.put(session))
+  }))
+
+export const uncacheSession = sessionId =>
+  quietly(withStore('sessions', 'readwrite', store => {
+    store.delete(sessionId)
+  }))
+
+/** The user's cached sessions, most recently active first. */
+export const cachedSessions = async userId => {
+  const sessions = await quietly(withStore('sessions', 'readonly', store => store.index('userId').getAll(userId)))
+  return (sessions || []).sort((a, b) => new Date(b.updatedAt || b.createdAt) - new Date(a.updatedAt || a.createdAt))
+}
+
+/** Stores the newest page of a session's messages ({ messages, hasMore }). */
+export const cacheMessages = (sessionId, page) =>
+  quietly(withStore('messages', 'readwrite', store => store.put({ sessionId, ...page })))
+
+/** The cached page of a session's messages, or undefined. */
+export const cachedMessages = sessionId =>
+  quietly(withStore('messages', 'readonly', store => store.get(sessionId)))
+
+// — Outbox: { id, sessionId, text, attachments, createdAt, status: 'pending' | 'failed', error }
+
+// `id` is sent as the prompt's Idempotency-Key; pass the key of an earlier attempt
+export const queuePrompt = ({ id = crypto.randomUUID(), sessionId, text, attachments = [] }) => {
+  const entry = { id, sessionId, text, attachments, createdAt: Date.now(), status: 'pending' }
+  return withStore('outbox', 'readwrite', store => store.put(entry)).then(() => entry)
+}
+
+/** All queued prompts, oldest first. */
+export const outbox = async () => {
+  const entries = await quietly(withStore('outbox', 'readonly', store => store.getAll()))
+  return (entries || []).sort((a, b) => a.createdAt - b.createdAt)
+}
+
+export const updateQueued = (entry, changes) =>
+  withStore('outbox', 'readwrite', store => store.put({ ...entry, ...changes }))
+
+export const removeQueued = id =>
+  withStore('outbox', 'readwrite', store => store.delete(id))
+
+/** Forgets everything stored for the logged-in user (on logout). */
+export const clearOffline = () =>
+  quietly(Promise.all(['sessions', 'messages', 'outbox'].map(name =>
+    withStore(name, 'readwrite', store => store.clear())
+  )))
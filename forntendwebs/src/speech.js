@@ -0,0 +1,87 @@
+import { useEffect, useRef, useState } from 'react'
+import { api } from './api'
+import { toastError } from './toasts'
+
+/**
+ * One audio player for the whole chat: playing a reply stops the one before.
+ * Audio is fetched once per message and voice (the server caches it too) and
+ * kept as object URLs until the session changes.
+ *
+ * Returns { playing, play(messageId, voice), pause, resume, stop }
+ * where playing is { messageId, paused, loading } or null.
+ */
+export function useSpeechPlayer(sessionId) {
+  const audioRef = useRef(null)
+  const urlsRef = useRef(new Map())
+  // Latest play() call; older ones that are still loading give way to it
+  const requestRef = useRef(0)
+  const [playing, setPlaying] = useState(null)
+
+  audioRef.current ??= new Audio()
+
+  useEffect(() => {
+    const audio = audioRef.current
+    const onEnded = () => setPlaying(null)
+    audio.addEventListener('ended', onEnded)
+    return () => audio.removeEventListener('ended', onEnded)
+  }, [])
+
+  const stop = () => {
+    requestRef.current++
+    const audio = audioRef.current
+    audio.pause()
+    audio.currentTime = 0
+    setPlaying(null)
+  }
+
+  // Another session: stop and free the audio of the previous one
+  useEffect(() => {
+    const urls = urlsRef.current
+    return () => {
+      stop()
+      audioRef.current.removeAttribute('src')
+      urls.forEach(url => URL.revokeObjectURL(url))
+      urls.clear()
+    }
+  }, [sessionId])
+
+  const play = async (messageId, voice) => {
+    const audio = audioRef.current
+    const request = ++requestRef.current
+    audio.pause()
+    setPlaying({ messageId, paused: false, loading: true })
+
+    const key = `${messageId}:${voice}`
+    try {
+      let url = urlsRef.current.get(key)
+      if (!url) {
+        const audioFile = await api.get(
+          `/api/sessions/${sessionId}/messages/${messageId}/audio?voice=${voice}`,
+          { as: 'blob' }
+        )
+        url = URL.createObjectURL(audioFile)
+        urlsRef.current.set(key, url)
+      }
+      if (request !== requestRef.current) return
+      audio.src = url
+      await audio.play()
+      setPlaying({ messageId, paused: false, loading: false })
+    } catch (error) {
+      if (request !== requestRef.current) return
+      toastError("Couldn't play the reply", error)
+      setPlaying(null)
+    }
+  }
+
+  const pause = () => {
+    audioRef.current.pause()
+    setPlaying(current => current && { ...current, paused: true })
+  }
+
+  const resume = () => {
+    audioRef.current.play()
+    setPlaying(current => current && { ...current, paused: false })
+  }
+
+  return { playing, play, pause, resume, stop }
+}
@@ -0,0 +1,32 @@
+/**
+ * Reads a text/event-stream response and calls onEvent(event, data) for each
+ * event, with `data` parsed as JSON.
+ * @param {Response} res - A fetch response with an SSE body.
+ * @param {(event: string, data: object) => void} onEvent - Event handler; may throw to stop reading.
+ */
+export async function readEvents(res, onEvent) {
+  const reader = res.body.pipeThrough(new TextDecoderStream()).getReader()
+  let buffer = ''
+  try {
+    for (;;) {
+      const { value, done } = await reader.read()
+      if (done) return
+      buffer += value
+      let end
+      while ((end = buffer.indexOf('\n\n')) !== -1) {
+        const raw = buffer.slice(0, end)
+        buffer = buffer.slice(end + 2)
+        let event = 'message'
+        let data = ''
+        for (const line of raw.split('\n')) {
+          if (line.startsWith('event: ')) event = line.slice(7)
+          else if (line.startsWith('data: ')) data += line.slice(6)
+        }
+        if (data) onEvent(event, JSON.parse(data))
+      }
+    }
+  } catch (error) {
+    reader.cancel().catch(() => {})
+    throw error
+  }
+}
@@ -0,0 +1,106 @@
+// App-wide state shared by App and Sidebar: the session list, the loaded
+// messages of each session and a few UI flags. Components read slices of it
+// with useStore() and change it only through the actions below, so a new
+// chat, a rename or a delete made in one place shows up everywhere at once.
+
+import { useSyncExternalStore } from 'react'
+
+const initialState = () => ({
+  // The user's sessions, most recently active first
+  sessions: [],
+  // Cursor of the next page of sessions (null once all are loaded)
+  nextCursor: null,
+  // sessionId → { messages, hasMore, through? }: the loaded part of each session's
+  // active branch, or of the branch through message `through` (see setPage)
+  pages: {},
+  // Sidebar visibility: open by default on screens >= 768px, closed otherwise
+  sidebarOpen: window.innerWidth >= 768
+})
+
+let state = initialState()
+const listeners = new Set()
+
+const setState = changes => {
+  state = { ...state, ...(typeof changes === 'function' ? changes(state) : changes) }
+  listeners.forEach(listener => listener())
+}
+
+const subscribe = listener => {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+/** The current state, for handlers that need it outside of rendering. */
+export const getState = () => state
+
+/**
+ * Reads a slice of the store and re-renders when it changes. The selector
+ * must return something from the state itself, not a newly built object.
+ */
+export const useStore = selector => useSyncExternalStore(subscribe, () => selector(state))
+
+// — Sessions
+
+// Most recently active first, like GET /api/sessions
+const byActivity = (a, b) => new Date(b.updatedAt || b.createdAt) - new Date(a.updatedAt || a.createdAt)
+
+/** Replaces the list with a first page of sessions. */
+export const setSessions = (sessions, nextCursor = null) => setState({ sessions, nextCursor })
+
+/** Adds the next page of sessions (skipping ones already known, e.g. opened by link). */
+export const appendSessions = (sessions, nextCursor = null) => setState(current => {
+  const known = new Set(current.sessions.map(s => s._id))
+  return { sessions: [...current.sessions, ...sessions.filter(s => !known.has(s._id))], nextCursor }
+})
+
+/** Adds a session or merges changes into the one with its _id. */
+export const upsertSession = session => setState(current => {
+  const existing = current.sessions.find(s => s._id === session._id)
+  const others = current.sessions.filter(s => s._id !== session._id)
+  return { sessions: [{ ...existing, ...session }, ...others].sort(byActivity) }
+})
+
+/** Moves a session to the top of the list after new activity in it. */
+export const touchSession = sessionId => setState(current => ({
+  sessions: current.sessions
+    .map(s => (s._id === sessionId ? { ...s, updatedAt: new Date().toISOString() } : s))
+    .sort(byActivity)
+}))
+
+/** Forgets a deleted session and its messages. */
+export const removeSession = sessionId => setState(current => {
+  const { [sessionId]: _removed, ...pages } = current.pages
+  return { sessions: current.sessions.filter(s => s._id !== sessionId), pages }
+})
+
+// — Messages
+
+/**
+ * Shows a page of a session's active branch ({ messages, hasMore }); `update`
+ * is the page or a function of the current one. A page with `through` (a
+ * message id) shows the branch through that message instead, without it being
+ * the active one on the server (search hits); later loads keep to that branch.
+ */
+export const setPage = (sessionId, update) => setState(current => ({
+  pages: {
+    ...current.pages,
+    [sessionId]: typeof update === 'function' ? update(current.pages[sessionId]) : update
+  }
+}))
+
+/**
+ * Replaces the messages shown for a session, keeping whether older ones are
+ * left; `update` is the new list or a function of the current one.
+ */
+export const setMessages = (sessionId, update) => setState(current => {
+  const page = current.pages[sessionId] || { messages: [], hasMore: false }
+  const messages = typeof update === 'function' ? update(page.messages) : update
+  return { pages: { ...current.pages, [sessionId]: { ...page, messages } } }
+})
+
+// — UI
+
+export const setSidebarOpen = open => setState({ sidebarOpen: open })
+
+/** Drops everything loaded for the user (on logout). */
+export const resetStore = () => setState(initialState())
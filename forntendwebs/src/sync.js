@@ -0,0 +1,66 @@
+import { api } from './api'
+import { readEvents } from './sse'
+
+// Live updates of this user's sessions from GET /api/events, made on other
+// devices or tabs. One stream per tab, shared by every component.
+
+const listeners = new Set()
+let controller = null
+
+const emit = (event, data) => {
+  listeners.forEach(listener => {
+    try {
+      listener(event, data)
+    } catch (error) {
+      console.error(`Error handling ${event}:`, error)
+    }
+  })
+}
+
+/**
+ * Calls handler(event, data) for every live event: session.created,
+ * session.updated, session.deleted and message.created (see the backend's
+ * lib/events.js), plus 'resync' after a reconnect, when events may have been
+ * missed. Returns the function that unsubscribes.
+ */
+export function onSyncEvent(handler) {
+  listeners.add(handler)
+  return () => listeners.delete(handler)
+}
+
+/**
+ * Opens the event stream and keeps it open, reconnecting with backoff, until
+ * stopSync() is called.
+ */
+export function startSync() {
+  if (controller) return
+  const current = new AbortController()
+  controller = current
+
+  const run = async () => {
+    let delay = 1000
+    let reconnecting = false
+    while (!current.signal.aborted) {
+      try {
+        // Reconnecting is handled here, so no retries inside
+        const res = await api.get('/api/events', { signal: current.signal, retries: 0, as: 'response' })
+        if (reconnecting) emit('resync', {})
+        reconnecting = true
+        delay = 1000
+        await readEvents(res, emit)
+      } catch (error) {
+        if (current.signal.aborted) return
+        console.warn('Live updates disconnected:', error.message)
+      }
+      await new Promise(resolve => setTimeout(resolve, delay))
+      delay = Math.min(delay * 2, 30000)
+    }
+  }
+  run()
+}
+
+/** Closes the event stream (on logout). */
+export function stopSync() {
+  controller?.abort()
+  controller = null
+}
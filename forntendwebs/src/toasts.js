@@ -0,0 +1,33 @@
+// Short-lived notices shown in a corner of the screen (components/Toasts.jsx).
+// Anything can raise one; failures should, rather than only logging them.
+
+import { describeError } from './errors'
+
+let nextId = 1
+const listeners = new Set()
+
+/** Calls listener(toast) for every new toast; returns an unsubscribe function. */
+export function onToast(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+/**
+ * Shows a notice. `kind` is 'error' or 'info'.
+ * @returns {number} The toast's id
+ */
+export function toast(text, { kind = 'info' } = {}) {
+  const id = nextId++
+  listeners.forEach(listener => listener({ id, text, kind }))
+  return id
+}
+
+/**
+ * Logs a failure and tells the user about it: "`what`: <friendly reason>".
+ * Cancelled requests are neither.
+ */
+export function toastError(what, error) {
+  if (error?.name === 'AbortError') return
+  console.error(`${what}:`, error)
+  return toast(`${what}: ${describeError(error)}`, { kind: 'error' })
+}